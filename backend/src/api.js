@@ -1,10 +1,60 @@
 const express = require('express');
 const { db, statements } = require('./db');
+const { toSatoshis, txFee } = require('./utxo');
+const { VerificationError, availableCompilers, verifyContract } = require('./verifier');
+const { decodeMetadata, verifyWithMetadata } = require('./metadata');
+const { backfillContract } = require('./decoder');
+const { registerAbi, lookupSignature, guessInput, guessLog } = require('./signatures');
+const { detectStandard } = require('./nft');
+const { isAdminRequest, checkCall } = require('./rpcproxy');
+const { TIERS, today, createApiKey } = require('./ratelimit');
+const { cache, cached, isFinal, markFinal } = require('./cache');
+const { WatchlistError, createWatchlist } = require('./webhooks');
 
 const router = express.Router();
 
-// Helper to format addresses
-const formatAddress = (addr) => addr?.toLowerCase() || null;
+// Hex addresses are stored lowercase; base58 is case sensitive and kept as is
+const formatAddress = (addr) => {
+  if (!addr) return null;
+  return /^(0x)?[0-9a-fA-F]{40}$/.test(addr) ? addr.toLowerCase() : addr;
+};
+
+// Fee of a transaction fetched straight from the node, using prevouts when the
+// node includes them and indexed outputs otherwise (null if inputs are unknown)
+const rpcTxFee = (tx) => {
+  const inputValues = [];
+  for (const vin of (tx.vin || [])) {
+    if (vin.coinbase) continue;
+    if (vin.prevout) {
+      inputValues.push(toSatoshis(vin.prevout.value));
+      continue;
+    }
+    const output = statements.getOutput.get(vin.txid, vin.vout);
+    if (!output) return null;
+    inputValues.push(parseInt(output.value));
+  }
+  return txFee(tx, inputValues);
+};
+
+// Decoded logs and call data are stored as JSON. Logs and calls of contracts
+// that aren't verified get a best-effort guess from the signature registry.
+const decodeLogRow = (log) => {
+  if (log.decoded_args) {
+    return { ...log, decoded_args: JSON.parse(log.decoded_args), decoded_source: 'abi' };
+  }
+  const topics = [log.topic0, log.topic1, log.topic2, log.topic3].filter(Boolean);
+  const guess = guessLog(topics, log.data);
+  if (!guess) return log;
+  return { ...log, decoded_name: guess.name, decoded_args: guess.args, decoded_source: 'signatures' };
+};
+
+const decodeTxRow = (tx) => {
+  if (tx.decoded_input) return { ...tx, decoded_input: JSON.parse(tx.decoded_input) };
+  // Creation input is bytecode, not a call
+  if (!tx.to_address || tx.contract_address) return tx;
+  const guess = guessInput(tx.input);
+  return guess ? { ...tx, method: guess.name, decoded_input: guess } : tx;
+};
 
 // ============ BLOCKS ============
 
@@ -18,7 +68,7 @@ router.get('/blocks', (req, res) => {
   }
 });
 
-router.get('/block/:id', async (req, res) => {
+router.get('/block/:id', cached(30), async (req, res) => {
   try {
     const { id } = req.params;
     const rpc = req.app.locals.rpc;
@@ -56,7 +106,7 @@ router.get('/block/:id', async (req, res) => {
             block_hash: rpcBlock.hash,
             timestamp: rpcBlock.time,
             value: tx.vout?.reduce((sum, o) => sum + (o.value || 0), 0) || 0,
-            fee: 0
+            fee: rpcTxFee(tx)
           }));
         }
       } catch (e) {
@@ -70,6 +120,7 @@ router.get('/block/:id', async (req, res) => {
 
     const transactions = rpcTxs || statements.getTxsByBlock.all(block.height);
 
+    if (isFinal(block.height)) markFinal(res);
     res.json({ block, transactions });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -78,12 +129,35 @@ router.get('/block/:id', async (req, res) => {
 
 // ============ TRANSACTIONS ============
 
-router.get('/tx/:hash', async (req, res) => {
+// Bare hex form of an address, which traced calls and contracts are stored by
+const toHexAddress = async (rpc, address) => {
+  if (address.startsWith('w') || address.startsWith('W')) {
+    try {
+      return formatAddress(await rpc.getHexAddress(address));
+    } catch (e) {
+      return formatAddress(address);
+    }
+  }
+  return formatAddress(address.replace(/^0x/i, ''));
+};
+
+// Token holders are stored as 0x-prefixed hex, whatever form was asked for
+const toHolderAddress = async (rpc, address) => '0x' + await toHexAddress(rpc, address);
+
+router.get('/tx/:hash', cached(30), async (req, res) => {
   try {
     const { hash } = req.params;
     const rpc = req.app.locals.rpc;
     let tx = statements.getTx.get(hash);
 
+    // Not mined yet but seen in the mempool
+    if (!tx) {
+      const pending = statements.getMempoolTx.get(hash);
+      if (pending) {
+        tx = { ...pending, block_height: null, timestamp: pending.first_seen, pending: true };
+      }
+    }
+
     // If not in DB, try to fetch from node
     if (!tx && rpc) {
       try {
@@ -93,7 +167,8 @@ router.get('/tx/:hash', async (req, res) => {
             hash: rpcTx.txid,
             block_height: rpcTx.blockheight,
             block_hash: rpcTx.blockhash,
-            timestamp: rpcTx.blocktime
+            timestamp: rpcTx.blocktime,
+            pending: !rpcTx.blockhash
           };
         }
       } catch (e) {}
@@ -114,12 +189,25 @@ router.get('/tx/:hash', async (req, res) => {
       WHERE tt.tx_hash = ?
     `).all(hash);
 
+    const inputs = statements.getTxInputs.all(hash);
+    const outputs = statements.getTxOutputs.all(hash);
+    const internalTransactions = statements.getTxInternalTxs.all(hash, hash);
+
     let contract = null;
     if (tx.to_address) {
       contract = statements.getContract.get(tx.to_address);
     }
 
-    res.json({ transaction: tx, logs, transfers, contract });
+    if (!tx.pending && isFinal(tx.block_height)) markFinal(res);
+    res.json({
+      transaction: decodeTxRow(tx),
+      inputs,
+      outputs,
+      logs: logs.map(decodeLogRow),
+      transfers,
+      internalTransactions,
+      contract
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -131,9 +219,49 @@ router.get('/address/:address/txs', (req, res) => {
     const limit = Math.min(parseInt(req.query.limit) || 25, 100);
     const offset = parseInt(req.query.offset) || 0;
 
-    const transactions = statements.getTxsByAddress.all(address, address, limit, offset);
+    const transactions = statements.getAddressHistory.all(address, address, limit, offset);
+
+    // Pending transactions lead the first page
+    const pendingTransactions = offset === 0 ? getPendingForAddress(address) : [];
+
+    res.json({ transactions, pendingTransactions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/address/:address/internal-txs', async (req, res) => {
+  try {
+    const address = formatAddress(req.params.address);
+    const hexAddress = await toHexAddress(req.app.locals.rpc, req.params.address);
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const internalTransactions = statements.getAddressInternalTxs.all(
+      address, hexAddress, address, hexAddress, limit, offset
+    );
 
-    res.json({ transactions });
+    res.json({ internalTransactions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ MEMPOOL ============
+
+const getPendingForAddress = (address) =>
+  statements.getMempoolTxsByAddress.all(address).map(tx => ({ ...tx, pending: true }));
+
+router.get('/mempool', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const stats = statements.getMempoolStats.get();
+    const transactions = statements.getMempoolTxs.all(limit, offset)
+      .map(tx => ({ ...tx, pending: true }));
+
+    res.json({ stats, transactions });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -160,27 +288,30 @@ router.get('/address/:address', async (req, res) => {
     // Get address info from node
     const addressInfo = await rpc.getAddressInfo(address).catch(() => ({ isvalid: true }));
 
-    // Check if contract
-    let isContract = false;
-    let code = null;
-    try {
-      code = await rpc.getContractCode(hexAddress);
-      isContract = code && code !== '0x' && code.length > 2;
-    } catch (e) {
-      console.log('getContractCode error:', e.message);
-    }
+    // Check if contract, cached until the next block (misses included)
+    const code = await cache.remember(`code:${formatAddress(hexAddress)}`, 60, () =>
+      rpc.getContractCode(hexAddress).catch(e => {
+        console.log('getContractCode error:', e.message);
+        return null;
+      })
+    );
+    const isContract = Boolean(code && code !== '0x' && code.length > 2);
 
     // Get verified contract info if exists
     const contract = statements.getContract.get(formatAddress(address));
 
     // Get token balances
-    const tokenBalances = statements.getTokenBalances.all(formatAddress(address));
+    const tokenBalances = statements.getTokenBalances.all(await toHolderAddress(rpc, address));
 
     // Get recent transactions
-    const transactions = statements.getTxsByAddress.all(
+    const transactions = statements.getAddressHistory.all(
       formatAddress(address), formatAddress(address), 10, 0
     );
 
+    const internalTransactions = statements.getAddressInternalTxs.all(
+      formatAddress(address), formatAddress(hexAddress), formatAddress(address), formatAddress(hexAddress), 10, 0
+    );
+
     res.json({
       address,
       isValid: addressInfo.isvalid,
@@ -188,7 +319,9 @@ router.get('/address/:address', async (req, res) => {
       code,
       contract,
       tokenBalances,
-      recentTransactions: transactions
+      recentTransactions: transactions,
+      internalTransactions,
+      pendingTransactions: getPendingForAddress(formatAddress(address))
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -197,8 +330,86 @@ router.get('/address/:address', async (req, res) => {
 
 // ============ CONTRACTS ============
 
+// Source files of a verified contract. Contracts verified before sources were
+// stored per file only have the single source_code blob.
+const getContractFiles = (contract) => {
+  const files = statements.getContractSources.all(contract.address);
+  if (files.length > 0) return files;
+  return contract.source_code ? [{ path: contract.source_path || 'contract.sol', content: contract.source_code }] : [];
+};
+
+// Contracts are stored by bare hex address
+const toContractAddress = async (rpc, address) => {
+  let hexAddress = address;
+  if (address.startsWith('w') || address.startsWith('W')) {
+    hexAddress = await rpc.getHexAddress(address);
+  }
+  return formatAddress(hexAddress.replace(/^0x/i, ''));
+};
+
+// Store a verification result along with each of its source files. Returns
+// how many earlier logs and transactions were decoded with its ABI.
+const saveVerifiedContract = (hexAddress, result, metadataJson = null) => {
+  const { settings } = result;
+  db.transaction(() => {
+    statements.insertContract.run(
+      hexAddress,
+      result.name,
+      result.sources[result.path],
+      JSON.stringify(result.abi),
+      result.compilerVersion,
+      settings.optimization ? 1 : 0,
+      settings.runs,
+      settings.evmVersion,
+      result.constructorArgs,
+      result.path,
+      JSON.stringify(settings.remappings),
+      JSON.stringify(settings.libraries),
+      result.matchType,
+      metadataJson,
+      Math.floor(Date.now() / 1000)
+    );
+    statements.deleteContractSources.run(hexAddress);
+    for (const [path, content] of Object.entries(result.sources)) {
+      statements.insertContractSource.run(hexAddress, path, content);
+    }
+  })();
+
+  // Its selectors help decode calls to contracts that share them
+  registerAbi(result.abi);
+
+  // Logs and calls indexed so far can now be decoded with the ABI, so cached
+  // responses may be out of date
+  const counts = backfillContract(hexAddress);
+  cache.clear();
+  return counts;
+};
+
+// Nest file paths into directories for browsing:
+// [{ name, type: 'directory', children }, { name, type: 'file', path }]
+const buildFileTree = (paths) => {
+  const root = [];
+  for (const path of paths) {
+    const parts = path.split('/');
+    let level = root;
+    parts.forEach((part, i) => {
+      if (i === parts.length - 1) {
+        level.push({ name: part, type: 'file', path });
+        return;
+      }
+      let dir = level.find(node => node.type === 'directory' && node.name === part);
+      if (!dir) {
+        dir = { name: part, type: 'directory', children: [] };
+        level.push(dir);
+      }
+      level = dir.children;
+    });
+  }
+  return root;
+};
+
 // List all contracts from node
-router.get('/contracts', async (req, res) => {
+router.get('/contracts', cached(60), async (req, res) => {
   try {
     const rpc = req.app.locals.rpc;
     const contracts = await rpc.listContracts();
@@ -209,12 +420,13 @@ router.get('/contracts', async (req, res) => {
       // Skip precompiles (addresses < 0x100)
       if (address.length < 40 || address.match(/^0{30,}/)) continue;
 
+      // Names, symbols and base58 forms don't change from block to block
       let tokenInfo = null;
       try {
-        const [name, symbol] = await Promise.all([
+        const [name, symbol] = await cache.remember(`token-name:${address}`, 3600, () => Promise.all([
           rpc.getTokenName(address),
           rpc.getTokenSymbol(address)
-        ]);
+        ]), { tipBound: false });
         if (name) {
           tokenInfo = { name, symbol };
         }
@@ -223,7 +435,7 @@ router.get('/contracts', async (req, res) => {
       // Get base58 address
       let base58 = null;
       try {
-        base58 = await rpc.fromHexAddress(address);
+        base58 = await cache.remember(`base58:${address}`, 86400, () => rpc.fromHexAddress(address), { tipBound: false });
       } catch (e) {}
 
       enrichedContracts.push({
@@ -241,6 +453,15 @@ router.get('/contracts', async (req, res) => {
   }
 });
 
+// Compiler versions available for verification
+router.get('/contract/compilers', (req, res) => {
+  try {
+    res.json({ compilers: availableCompilers() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.get('/contract/:address', (req, res) => {
   try {
     const address = formatAddress(req.params.address);
@@ -250,41 +471,108 @@ router.get('/contract/:address', (req, res) => {
       return res.status(404).json({ error: 'Contract not verified' });
     }
 
-    res.json({ contract });
+    res.json({ contract, files: getContractFiles(contract) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.post('/contract/verify', (req, res) => {
+// Recompiles the source and only accepts it if it matches the code on chain.
+// Takes a single sourceCode, a sources map of path -> content (with optional
+// remappings and libraries), or a complete Standard JSON input.
+router.post('/contract/verify', async (req, res) => {
   try {
+    const rpc = req.app.locals.rpc;
     const {
       address,
       name,
       sourceCode,
-      abi,
+      sources,
+      standardJson,
       compilerVersion,
       optimization,
+      runs,
+      evmVersion,
+      remappings,
+      libraries,
       constructorArgs
     } = req.body;
 
-    if (!address || !sourceCode || !abi) {
+    if (!address || !(sourceCode || sources || standardJson) || !compilerVersion) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    statements.insertContract.run(
-      formatAddress(address),
-      name || 'Unknown',
+    const hexAddress = await toContractAddress(rpc, address);
+
+    const result = await verifyContract(rpc, {
+      address: hexAddress,
       sourceCode,
-      typeof abi === 'string' ? abi : JSON.stringify(abi),
-      compilerVersion || 'unknown',
-      optimization ? 1 : 0,
-      constructorArgs || '',
-      Math.floor(Date.now() / 1000)
-    );
+      sources,
+      standardJson,
+      contractName: name || null,
+      compilerVersion,
+      optimization,
+      runs: parseInt(runs) || 200,
+      evmVersion: evmVersion || null,
+      remappings: Array.isArray(remappings) ? remappings : [],
+      libraries: libraries || {},
+      constructorArgs
+    });
 
-    res.json({ success: true, message: 'Contract verified' });
+    const decoded = saveVerifiedContract(hexAddress, result);
+
+    res.json({
+      success: true,
+      message: `Contract ${result.name} verified`,
+      name: result.name,
+      path: result.path,
+      matchType: result.matchType,
+      compilerVersion: result.compilerVersion,
+      constructorArgs: result.constructorArgs,
+      decoded
+    });
   } catch (error) {
+    if (error instanceof VerificationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Verify from the metadata.json solc produced plus the source files. The
+// metadata carries the compiler and settings; if its hash isn't the one
+// embedded in the bytecode, a match can only be partial.
+router.post('/contract/verify-metadata', async (req, res) => {
+  try {
+    const rpc = req.app.locals.rpc;
+    const { address, metadata, sources, constructorArgs } = req.body;
+
+    if (!address || !metadata) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const hexAddress = await toContractAddress(rpc, address);
+    // The hash covers the exact bytes, so the file must be passed through untouched
+    const metadataJson = typeof metadata === 'string' ? metadata : JSON.stringify(metadata);
+    const result = await verifyWithMetadata(rpc, { address: hexAddress, metadata: metadataJson, sources, constructorArgs });
+
+    const decoded = saveVerifiedContract(hexAddress, result, metadataJson);
+
+    res.json({
+      success: true,
+      message: `Contract ${result.name} verified (${result.matchType} match)`,
+      name: result.name,
+      path: result.path,
+      matchType: result.matchType,
+      hashType: result.hashType,
+      compilerVersion: result.compilerVersion,
+      constructorArgs: result.constructorArgs,
+      decoded
+    });
+  } catch (error) {
+    if (error instanceof VerificationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -358,6 +646,9 @@ router.post('/contract/:address/encode', (req, res) => {
 
 // ============ TOKENS ============
 
+// NFT and multi-token metadata is stored as JSON
+const withMetadata = (row) => row && { ...row, metadata: row.metadata ? JSON.parse(row.metadata) : null };
+
 router.get('/token/:address', async (req, res) => {
   try {
     const rpc = req.app.locals.rpc;
@@ -379,21 +670,28 @@ router.get('/token/:address', async (req, res) => {
     if (!token) {
       const rpc = req.app.locals.rpc;
       try {
-        const [name, symbol, decimals, totalSupply] = await Promise.all([
+        const [name, symbol, decimals, totalSupply, standard] = await Promise.all([
           rpc.getTokenName(address),
           rpc.getTokenSymbol(address),
           rpc.getTokenDecimals(address),
-          rpc.getTokenTotalSupply(address)
+          rpc.getTokenTotalSupply(address),
+          detectStandard(rpc, address)
         ]);
 
-        token = { address, name, symbol, decimals: Number(decimals), total_supply: totalSupply };
+        token = { address, name, symbol, decimals: Number(decimals), total_supply: totalSupply, standard };
 
-        statements.insertToken.run(address, name, symbol, Number(decimals), totalSupply, null);
+        statements.insertToken.run(address, name, symbol, Number(decimals), totalSupply, null, standard);
       } catch (e) {
         return res.status(404).json({ error: 'Token not found' });
       }
     }
 
+    // Multi-token counts are kept per id
+    if (token.standard === 'ERC-1155') {
+      const stats = statements.getMultiTokenStats.get(address, address, address);
+      return res.json({ token, ids: stats.ids, holders: stats.holders, transfers: stats.transfers });
+    }
+
     const holderCount = db.prepare(`
       SELECT COUNT(DISTINCT address) as count
       FROM token_balances
@@ -438,7 +736,7 @@ router.get('/token/:address/holders', (req, res) => {
       SELECT address, balance
       FROM token_balances
       WHERE token_address = ? AND balance != '0'
-      ORDER BY CAST(balance AS INTEGER) DESC
+      ORDER BY LENGTH(balance) DESC, balance DESC
       LIMIT ? OFFSET ?
     `).all(address, limit, offset);
 
@@ -448,12 +746,140 @@ router.get('/token/:address/holders', (req, res) => {
   }
 });
 
+// Ids of an ERC-1155 contract with their supply and holder count
+router.get('/token/:address/ids', async (req, res) => {
+  try {
+    const address = await toContractAddress(req.app.locals.rpc, req.params.address);
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const ids = statements.getMultiTokens.all(address, limit, offset).map(withMetadata);
+
+    res.json({ ids });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/token/:address/ids/:id', async (req, res) => {
+  try {
+    const rpc = req.app.locals.rpc;
+    const address = await toContractAddress(rpc, req.params.address);
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    let id;
+    try {
+      id = BigInt(req.params.id).toString();
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid token id' });
+    }
+
+    // uri(id) is read by the indexer when the id is first indexed
+    const multiToken = statements.getMultiToken.get(address, id);
+    if (!multiToken) {
+      return res.status(404).json({ error: 'Token id not found' });
+    }
+
+    const holders = statements.getMultiTokenHolders.all(address, id, limit, offset);
+    const transfers = statements.getMultiTokenTransfers.all(address, id, limit, offset);
+
+    res.json({
+      token: statements.getToken.get(address) || null,
+      id: withMetadata(multiToken),
+      holders,
+      transfers
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.get('/address/:address/tokens', async (req, res) => {
   try {
-    const address = formatAddress(req.params.address);
-    const tokenBalances = statements.getTokenBalances.all(address);
+    const rpc = req.app.locals.rpc;
+    const holder = await toHolderAddress(rpc, req.params.address);
+    const tokenBalances = statements.getTokenBalances.all(holder);
+    const multiTokens = statements.getMultiBalancesByHolder.all(holder);
+
+    res.json({ tokens: tokenBalances, multiTokens });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ NFTS ============
+
+// Owners are stored as 0x-prefixed hex, like token holders
+const toOwnerAddress = async (rpc, address) => '0x' + await toContractAddress(rpc, address);
+
+router.get('/nft/:contract', async (req, res) => {
+  try {
+    const rpc = req.app.locals.rpc;
+    const contract = await toContractAddress(rpc, req.params.contract);
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const collection = statements.getToken.get(contract);
+    if (!collection || collection.standard !== 'QRC-721') {
+      return res.status(404).json({ error: 'NFT collection not found' });
+    }
+
+    // Burned tokens don't count towards supply or holders
+    const stats = statements.getNftCollectionStats.get(contract);
+
+    res.json({
+      collection,
+      supply: stats.tokens,
+      holders: stats.holders,
+      tokens: statements.getNftTokens.all(contract, limit, offset).map(withMetadata),
+      transfers: statements.getNftTransfers.all(contract, limit, 0)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/nft/:contract/:tokenId', async (req, res) => {
+  try {
+    const rpc = req.app.locals.rpc;
+    const contract = await toContractAddress(rpc, req.params.contract);
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    let tokenId;
+    try {
+      tokenId = BigInt(req.params.tokenId).toString();
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid token id' });
+    }
+
+    // tokenURI is read by the indexer when the token is first indexed
+    const token = statements.getNftToken.get(contract, tokenId);
+    if (!token) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    res.json({
+      collection: statements.getToken.get(contract) || null,
+      token: withMetadata(token),
+      transfers: statements.getNftTokenTransfers.all(contract, tokenId, limit, offset)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/address/:address/nfts', async (req, res) => {
+  try {
+    const rpc = req.app.locals.rpc;
+    const owner = await toOwnerAddress(rpc, req.params.address);
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const nfts = statements.getNftsByOwner.all(owner, limit, offset).map(withMetadata);
 
-    res.json({ tokens: tokenBalances });
+    res.json({ nfts });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -467,7 +893,7 @@ router.get('/address/:address/logs', (req, res) => {
     const limit = Math.min(parseInt(req.query.limit) || 25, 100);
     const offset = parseInt(req.query.offset) || 0;
 
-    const logs = statements.getLogs.all(address, limit, offset);
+    const logs = statements.getLogs.all(address, limit, offset).map(decodeLogRow);
 
     res.json({ logs });
   } catch (error) {
@@ -475,6 +901,30 @@ router.get('/address/:address/logs', (req, res) => {
   }
 });
 
+// ============ SIGNATURES ============
+
+// Look up a 4-byte function selector or a 32-byte event topic
+router.get('/signatures/:selector', (req, res) => {
+  try {
+    const selector = req.params.selector.replace(/^0x/i, '').toLowerCase();
+    if (!/^([0-9a-f]{8}|[0-9a-f]{64})$/.test(selector)) {
+      return res.status(400).json({ error: 'Expected a 4-byte selector or 32-byte topic' });
+    }
+
+    const signatures = lookupSignature(selector).map(entry => ({
+      ...entry,
+      fragment: JSON.parse(entry.fragment)
+    }));
+    if (signatures.length === 0) {
+      return res.status(404).json({ error: 'Unknown selector' });
+    }
+
+    res.json({ selector: '0x' + selector, signatures });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============ SEARCH ============
 
 router.get('/search', async (req, res) => {
@@ -484,7 +934,9 @@ router.get('/search', async (req, res) => {
       return res.status(400).json({ error: 'Query required' });
     }
 
-    const query = q.trim().toLowerCase();
+    // Hashes and hex are matched lowercase, base58 addresses exactly
+    const term = q.trim();
+    const query = term.toLowerCase();
     const results = [];
 
     // Check if it's a block number
@@ -511,7 +963,7 @@ router.get('/search', async (req, res) => {
     // Check if it's an address (hex or base58)
     if ((query.startsWith('0x') && query.length === 42) ||
         (query.startsWith('w') && query.length >= 34)) {
-      results.push({ type: 'address', data: { address: query } });
+      results.push({ type: 'address', data: { address: formatAddress(term) } });
 
       const token = statements.getToken.get(query);
       if (token) {
@@ -536,6 +988,67 @@ router.get('/stats', (req, res) => {
   }
 });
 
+// Indexer sync progress
+router.get('/indexer/status', (req, res) => {
+  try {
+    const indexer = req.app.locals.indexer;
+    if (!indexer) {
+      return res.status(503).json({ error: 'Indexer not running' });
+    }
+
+    res.json({ status: indexer.getStatus() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Leaderboard windows for /miners and /stakers
+const PERIODS = {
+  '24h': 24 * 60 * 60,
+  '7d': 7 * 24 * 60 * 60,
+  '30d': 30 * 24 * 60 * 60,
+  'all': null
+};
+
+const producerLeaderboard = (isPos) => (req, res) => {
+  try {
+    const period = req.query.period || '24h';
+    if (!(period in PERIODS)) {
+      return res.status(400).json({ error: `Invalid period, use one of: ${Object.keys(PERIODS).join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const since = PERIODS[period] ? Math.floor(Date.now() / 1000) - PERIODS[period] : 0;
+
+    const total = statements.countProducedBlocks.get(isPos, since).count;
+    const producers = statements.getProducers.all(isPos, since, limit, offset).map(p => ({
+      ...p,
+      share: total > 0 ? Math.round(p.blocks / total * 10000) / 100 : 0
+    }));
+
+    res.json({ period, totalBlocks: total, [isPos ? 'stakers' : 'miners']: producers });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+router.get('/miners', producerLeaderboard(0));
+router.get('/stakers', producerLeaderboard(1));
+
+// Recent chain reorganizations handled by the indexer
+router.get('/reorgs', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const reorgs = statements.getReorgs.all(limit);
+    const deepest = db.prepare(`SELECT MAX(depth) as depth FROM reorgs`).get();
+
+    res.json({ reorgs, maxDepth: deepest?.depth || 0 });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============ ADDRESS CONVERSION ============
 
 router.get('/address/convert/:address', async (req, res) => {
@@ -572,13 +1085,198 @@ router.get('/address/convert/:address', async (req, res) => {
 
 // ============ RPC PROXY ============
 
+// Only allowlisted methods reach the node, see rpcproxy.js. Every call is
+// audit-logged, refused ones included.
 router.post('/rpc', async (req, res) => {
+  const { method, params = [] } = req.body || {};
+  const admin = isAdminRequest(req);
+  const started = Date.now();
+  const audit = (status, error = null) => statements.insertRpcAudit.run(
+    typeof method === 'string' ? method.slice(0, 64) : null,
+    JSON.stringify(params ?? null)?.slice(0, 1000) ?? null,
+    req.ip,
+    admin ? 1 : 0,
+    status,
+    error,
+    Date.now() - started
+  );
+
+  let name;
   try {
-    const rpc = req.app.locals.rpc;
-    const { method, params = [] } = req.body;
+    name = checkCall(method, params, admin);
+  } catch (error) {
+    audit('refused', error.message);
+    return res.status(error.status).json({ error: error.message });
+  }
 
-    const result = await rpc.call(method, params);
+  try {
+    const rpc = req.app.locals.rpc;
+    const result = await rpc.call(name, params);
+    audit('ok');
     res.json({ result });
+  } catch (error) {
+    audit('error', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent proxy calls, for admins
+router.get('/rpc/audit', (req, res) => {
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Admin API key required' });
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+    res.json({ calls: statements.getRpcAudit.all(limit, offset) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ API KEYS ============
+
+const requireAdmin = (req, res, next) => {
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Admin API key required' });
+  next();
+};
+
+// Optional per-key override of the tier's limits: a non-negative integer, or
+// null for unlimited
+const parseLimit = (value) => {
+  if (value === undefined || value === null) return value;
+  if (!Number.isInteger(value) || value < 0) throw new Error('Limits must be non-negative integers or null');
+  return value;
+};
+
+// The calling key and its recent usage
+router.get('/key', (req, res) => {
+  if (!req.apiKey?.id) return res.status(401).json({ error: 'API key required' });
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    res.json({
+      key: statements.getApiKey.get(req.apiKey.id),
+      usage: statements.getApiUsageHistory.all(req.apiKey.id, days)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/keys', requireAdmin, (req, res) => {
+  try {
+    res.json({ tiers: TIERS, keys: statements.getApiKeys.all(today()) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/keys', requireAdmin, (req, res) => {
+  const { name, tier = 'free' } = req.body || {};
+  let rateLimit, dailyQuota;
+  try {
+    if (!TIERS[tier]) throw new Error(`Unknown tier ${tier}, expected one of ${Object.keys(TIERS).join(', ')}`);
+    rateLimit = parseLimit(req.body.rateLimit);
+    dailyQuota = parseLimit(req.body.dailyQuota);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.status(201).json(createApiKey(name, tier, { rateLimit, dailyQuota }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/keys/:id/usage', requireAdmin, (req, res) => {
+  try {
+    const key = statements.getApiKey.get(parseInt(req.params.id));
+    if (!key) return res.status(404).json({ error: 'API key not found' });
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    res.json({ key, usage: statements.getApiUsageHistory.all(key.id, days) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/keys/:id', requireAdmin, (req, res) => {
+  try {
+    const { changes } = statements.revokeApiKey.run(parseInt(req.params.id));
+    if (!changes) return res.status(404).json({ error: 'API key not found' });
+    res.json({ revoked: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ WATCHLISTS ============
+
+// The signing secret is only returned when the watchlist is created
+const withoutSecret = ({ secret, ...watchlist }) => watchlist;
+
+const withPayload = (delivery) => ({ ...delivery, payload: JSON.parse(delivery.payload) });
+
+router.get('/watchlists', requireAdmin, (req, res) => {
+  try {
+    res.json({ watchlists: statements.getWatchlists.all().map(withoutSecret) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { address, webhookUrl, name?, types?: ['coin', 'token', 'log'],
+// minValue?, token?, eventTopic? }. Deliveries are signed with the returned
+// secret and timestamped, see webhooks.js for how to check them.
+router.post('/watchlists', requireAdmin, async (req, res) => {
+  try {
+    const rpc = req.app.locals.rpc;
+    res.status(201).json(await createWatchlist(rpc, req.body || {}));
+  } catch (error) {
+    res.status(error instanceof WatchlistError ? 400 : 500).json({ error: error.message });
+  }
+});
+
+router.get('/watchlists/:id', requireAdmin, (req, res) => {
+  try {
+    const watchlist = statements.getWatchlist.get(parseInt(req.params.id));
+    if (!watchlist) return res.status(404).json({ error: 'Watchlist not found' });
+    const deliveries = statements.getDeliveries.all(watchlist.id, null, null, 25, 0).map(withPayload);
+    res.json({ watchlist: withoutSecret(watchlist), deliveries });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/watchlists/:id', requireAdmin, (req, res) => {
+  try {
+    const { changes } = statements.deactivateWatchlist.run(parseInt(req.params.id));
+    if (!changes) return res.status(404).json({ error: 'Watchlist not found' });
+    res.json({ deactivated: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deliveries of a watchlist; ?status=dead lists the dead letters
+router.get('/watchlists/:id/deliveries', requireAdmin, (req, res) => {
+  try {
+    const watchlist = statements.getWatchlist.get(parseInt(req.params.id));
+    if (!watchlist) return res.status(404).json({ error: 'Watchlist not found' });
+    const status = req.query.status || null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    res.json({ deliveries: statements.getDeliveries.all(watchlist.id, status, status, limit, offset).map(withPayload) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a dead letter again, with a fresh set of attempts
+router.post('/watchlists/deliveries/:id/retry', requireAdmin, (req, res) => {
+  try {
+    const { changes } = statements.retryDelivery.run(Math.floor(Date.now() / 1000), parseInt(req.params.id));
+    if (!changes) return res.status(404).json({ error: 'No dead delivery with that id' });
+    req.app.locals.webhooks?.deliverDue();
+    res.json({ retrying: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -618,6 +1316,8 @@ router.get('/contract/:address/details', async (req, res) => {
       base58 = await rpc.fromHexAddress(address);
     } catch (e) {}
 
+    const files = verified ? getContractFiles(verified) : [];
+
     // Parse ABI if verified
     let readFunctions = [];
     let writeFunctions = [];
@@ -658,6 +1358,11 @@ router.get('/contract/:address/details', async (req, res) => {
       name: verified?.name,
       compiler: verified?.compiler_version,
       sourceCode: verified?.source_code,
+      sourcePath: verified?.source_path,
+      matchType: verified?.match_type,
+      metadata: decodeMetadata(bytecode),
+      files,
+      fileTree: buildFileTree(files.map(file => file.path)),
       abi: verified?.abi,
       readFunctions,
       writeFunctions,
@@ -822,6 +1527,10 @@ router.get('/contract/:address/events', async (req, res) => {
             };
           } catch (e) {}
         }
+        if (!decoded) {
+          const guess = guessLog(entry.topics || [], entry.data);
+          if (guess) decoded = { name: guess.name, args: guess.args.map(arg => arg.value), source: guess.source };
+        }
 
         events.push({
           txHash: log.transactionHash,
@@ -878,21 +1587,37 @@ router.post('/contract/decode', async (req, res) => {
   try {
     const { abi, data } = req.body;
 
-    if (!abi || !data) {
-      return res.status(400).json({ error: 'ABI and data required' });
+    if (!data) {
+      return res.status(400).json({ error: 'Data required' });
     }
 
-    const { ethers } = require('ethers');
-    const iface = new ethers.Interface(typeof abi === 'string' ? JSON.parse(abi) : abi);
+    // Without an ABI (or if it doesn't know the function) use the signature registry
+    if (abi) {
+      const { ethers } = require('ethers');
+      const iface = new ethers.Interface(typeof abi === 'string' ? JSON.parse(abi) : abi);
+      const decoded = iface.parseTransaction({ data });
+
+      if (decoded) {
+        return res.json({
+          functionName: decoded.name,
+          args: decoded.args.toArray().map(v => typeof v === 'bigint' ? v.toString() : v),
+          signature: decoded.signature,
+          selector: decoded.selector
+        });
+      }
+    }
 
-    // Try to decode
-    const decoded = iface.parseTransaction({ data });
+    const guess = guessInput(data);
+    if (!guess) {
+      return res.status(404).json({ error: 'Unknown function selector' });
+    }
 
     res.json({
-      functionName: decoded.name,
-      args: decoded.args.toArray().map(v => typeof v === 'bigint' ? v.toString() : v),
-      signature: decoded.signature,
-      selector: decoded.selector
+      functionName: guess.name,
+      args: guess.args.map(arg => arg.value),
+      signature: guess.signature,
+      selector: guess.selector,
+      source: guess.source
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -904,12 +1629,12 @@ async function calculateNetworkStats(rpc, currentHeight) {
   try {
     const windowSize = 100;
     const startHeight = Math.max(0, currentHeight - windowSize);
-    const blocks = [];
+    const heights = [];
+    for (let h = currentHeight; h > startHeight; h--) heights.push(h);
 
-    for (let h = currentHeight; h > startHeight; h--) {
-      const block = await rpc.getBlock(h, 1);
-      blocks.push(block);
-    }
+    // Two batch round trips instead of two calls per block
+    const hashes = await rpc.batch(heights.map(h => ['getblockhash', [h]]));
+    const blocks = await rpc.batch(hashes.map(hash => ['getblock', [hash, 1]]));
 
     const powBlocks = blocks.filter(b => b.flags === 'proof-of-work');
     const posBlocks = blocks.filter(b => b.flags === 'proof-of-stake');
@@ -940,7 +1665,7 @@ async function calculateNetworkStats(rpc, currentHeight) {
 let cachedStats = { hashrate: 0, avgBlockTime: 0, powPercent: 0, posPercent: 0, height: 0 };
 
 // Get chain info for frontend
-router.get('/chain', async (req, res) => {
+router.get('/chain', cached(10), async (req, res) => {
   try {
     const rpc = req.app.locals.rpc;
     const [blockchainInfo, stakingInfo, miningInfo, difficultyInfo, txOutSetInfo] = await Promise.all([
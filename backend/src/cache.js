@@ -0,0 +1,128 @@
+// In-memory cache for node RPC results and API responses. Entries are bound to
+// the chain tip (dropped as soon as a new block is indexed) unless they hold
+// data that can no longer change; a reorg drops everything. Every entry also
+// has a TTL, so nothing outlives it even if the indexer isn't running.
+const crypto = require('crypto');
+const { statements } = require('./db');
+
+const MAX_ENTRIES = 5000;
+
+// Blocks this deep can't be reorganized (the node's maximum reorg depth)
+const FINAL_DEPTH = 500;
+// Cache lifetime (seconds) of responses about final blocks. Not forever,
+// since verifying a contract later changes how its transactions are decoded.
+const FINAL_MAX_AGE = 86400;
+
+class Cache {
+  constructor(maxEntries = MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.pending = new Map();
+    // Bumped on every invalidation, so results computed before it aren't stored
+    this.generation = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  // ttl in seconds; tipBound: false keeps the entry across new blocks
+  set(key, value, ttl, { tipBound = true } = {}) {
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      // Maps keep insertion order, so the first key is the oldest
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expires: Date.now() + ttl * 1000, tipBound });
+  }
+
+  // Cached result of fn(), computed once for concurrent callers. Failures
+  // aren't cached.
+  async remember(key, ttl, fn, options) {
+    const hit = this.get(key);
+    if (hit !== undefined) return hit;
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const generation = this.generation;
+    const promise = Promise.resolve()
+      .then(fn)
+      .then(value => {
+        if (value !== undefined && generation === this.generation) this.set(key, value, ttl, options);
+        return value;
+      })
+      .finally(() => this.pending.delete(key));
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  // A new block was indexed
+  newTip() {
+    this.generation++;
+    for (const [key, entry] of this.entries) {
+      if (entry.tipBound) this.entries.delete(key);
+    }
+  }
+
+  clear() {
+    this.generation++;
+    this.entries.clear();
+  }
+}
+
+const cache = new Cache();
+
+const tipHeight = () => parseInt(statements.getIndexerState.get('last_block')?.value ?? '-1');
+
+// Whether a block height is deep enough below the tip to be final
+const isFinal = (height) => height !== null && height !== undefined && height <= tipHeight() - FINAL_DEPTH;
+
+// Called by a cached() route handler whose response is about final blocks
+// only: browsers and the cache may keep it for FINAL_MAX_AGE
+const markFinal = (res) => {
+  res.locals.final = true;
+};
+
+// Middleware caching a GET route's 200 JSON responses by URL for ttl seconds.
+// Responses carry an ETag, so a client sending it back in If-None-Match gets
+// a 304 without the handler running again.
+const cached = (ttl) => (req, res, next) => {
+  const key = 'response:' + req.originalUrl;
+  const hit = cache.get(key);
+  if (hit) {
+    res.set(hit.headers);
+    return res.type('json').send(hit.body);
+  }
+
+  const generation = cache.generation;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode !== 200) return json(body);
+
+    const text = JSON.stringify(body);
+    const final = Boolean(res.locals.final);
+    const headers = {
+      'ETag': '"' + crypto.createHash('sha1').update(text).digest('base64url') + '"',
+      'Cache-Control': final ? `public, max-age=${FINAL_MAX_AGE}` : `public, max-age=${ttl}`
+    };
+    if (generation === cache.generation) {
+      cache.set(key, { body: text, headers }, final ? FINAL_MAX_AGE : ttl, { tipBound: !final });
+    }
+    res.set(headers);
+    return res.type('json').send(text);
+  };
+  next();
+};
+
+module.exports = {
+  Cache,
+  cache,
+  isFinal,
+  markFinal,
+  cached
+};
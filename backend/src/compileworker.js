@@ -0,0 +1,13 @@
+// Runs one solc-js compile off the main thread (see runCompiler in
+// verifier.js). Posts back solc's Standard JSON output as a string.
+const path = require('path');
+const { parentPort, workerData } = require('worker_threads');
+const solc = require('solc');
+
+const { version, bundled, solcDir, input } = workerData;
+
+const compiler = bundled
+  ? solc
+  : solc.setupMethods(require(path.join(solcDir, `soljson-v${version}.js`)));
+
+parentPort.postMessage(compiler.compile(input));
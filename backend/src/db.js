@@ -24,6 +24,7 @@ db.exec(`
     nonce TEXT,
     is_pos INTEGER DEFAULT 0,
     block_reward TEXT,
+    fees TEXT,
     created_at INTEGER DEFAULT (strftime('%s', 'now'))
   );
 
@@ -43,11 +44,59 @@ db.exec(`
     input TEXT,
     status INTEGER,
     contract_address TEXT,
+    fee TEXT,
+    method TEXT,
+    decoded_input TEXT,
     timestamp INTEGER,
     created_at INTEGER DEFAULT (strftime('%s', 'now')),
     FOREIGN KEY (block_height) REFERENCES blocks(height)
   );
 
+  -- Transaction inputs, resolved to the output they spend
+  CREATE TABLE IF NOT EXISTS tx_inputs (
+    tx_hash TEXT,
+    input_index INTEGER,
+    prev_tx_hash TEXT,
+    prev_output_index INTEGER,
+    address TEXT,
+    value TEXT,
+    is_coinbase INTEGER DEFAULT 0,
+    block_height INTEGER,
+    PRIMARY KEY (tx_hash, input_index)
+  );
+
+  -- Transaction outputs
+  CREATE TABLE IF NOT EXISTS tx_outputs (
+    tx_hash TEXT,
+    output_index INTEGER,
+    address TEXT,
+    value TEXT,
+    script_type TEXT,
+    block_height INTEGER,
+    PRIMARY KEY (tx_hash, output_index)
+  );
+
+  -- Unconfirmed transactions seen in the node's mempool
+  CREATE TABLE IF NOT EXISTS mempool_txs (
+    hash TEXT PRIMARY KEY,
+    from_address TEXT,
+    to_address TEXT,
+    value TEXT,
+    fee TEXT,
+    size INTEGER,
+    fee_rate REAL,
+    first_seen INTEGER
+  );
+
+  -- Amounts each address sends/receives in a pending transaction
+  CREATE TABLE IF NOT EXISTS mempool_addresses (
+    tx_hash TEXT,
+    address TEXT,
+    sent TEXT,
+    received TEXT,
+    PRIMARY KEY (tx_hash, address)
+  );
+
   -- Addresses table (for caching balances)
   CREATE TABLE IF NOT EXISTS addresses (
     address TEXT PRIMARY KEY,
@@ -66,11 +115,26 @@ db.exec(`
     abi TEXT,
     compiler_version TEXT,
     optimization INTEGER,
+    optimization_runs INTEGER,
+    evm_version TEXT,
     constructor_args TEXT,
+    source_path TEXT,
+    remappings TEXT,
+    libraries TEXT,
+    match_type TEXT,
+    metadata TEXT,
     verified_at INTEGER,
     created_at INTEGER DEFAULT (strftime('%s', 'now'))
   );
 
+  -- Source files of verified contracts
+  CREATE TABLE IF NOT EXISTS contract_sources (
+    contract_address TEXT,
+    path TEXT,
+    content TEXT,
+    PRIMARY KEY (contract_address, path)
+  );
+
   -- Tokens table (ERC-20/WTX-20)
   CREATE TABLE IF NOT EXISTS tokens (
     address TEXT PRIMARY KEY,
@@ -79,6 +143,7 @@ db.exec(`
     decimals INTEGER,
     total_supply TEXT,
     owner TEXT,
+    standard TEXT DEFAULT 'QRC-20',
     created_at INTEGER DEFAULT (strftime('%s', 'now'))
   );
 
@@ -106,6 +171,92 @@ db.exec(`
     PRIMARY KEY (address, token_address)
   );
 
+  -- QRC-721 tokens and their current owner (the zero address once burned)
+  CREATE TABLE IF NOT EXISTS nft_tokens (
+    contract_address TEXT,
+    token_id TEXT,
+    owner TEXT,
+    token_uri TEXT,
+    metadata TEXT,
+    last_updated INTEGER,
+    PRIMARY KEY (contract_address, token_id)
+  );
+
+  -- QRC-721 transfers, including mints and burns
+  CREATE TABLE IF NOT EXISTS nft_transfers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tx_hash TEXT,
+    log_index INTEGER,
+    contract_address TEXT,
+    token_id TEXT,
+    from_address TEXT,
+    to_address TEXT,
+    block_height INTEGER,
+    timestamp INTEGER,
+    FOREIGN KEY (tx_hash) REFERENCES transactions(hash),
+    FOREIGN KEY (contract_address) REFERENCES tokens(address)
+  );
+
+  -- ERC-1155 token ids: supply (minted less burned) and uri(id)
+  CREATE TABLE IF NOT EXISTS multi_tokens (
+    contract_address TEXT,
+    token_id TEXT,
+    supply TEXT,
+    uri TEXT,
+    metadata TEXT,
+    first_block INTEGER,
+    last_updated INTEGER,
+    PRIMARY KEY (contract_address, token_id)
+  );
+
+  -- ERC-1155 balances per (contract, id, holder)
+  CREATE TABLE IF NOT EXISTS multi_token_balances (
+    contract_address TEXT,
+    token_id TEXT,
+    holder TEXT,
+    balance TEXT,
+    last_updated INTEGER,
+    PRIMARY KEY (contract_address, token_id, holder)
+  );
+
+  -- ERC-1155 transfers, one row per id and amount of a TransferBatch
+  CREATE TABLE IF NOT EXISTS multi_token_transfers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tx_hash TEXT,
+    log_index INTEGER,
+    batch_index INTEGER,
+    contract_address TEXT,
+    token_id TEXT,
+    operator TEXT,
+    from_address TEXT,
+    to_address TEXT,
+    value TEXT,
+    block_height INTEGER,
+    timestamp INTEGER,
+    FOREIGN KEY (tx_hash) REFERENCES transactions(hash),
+    FOREIGN KEY (contract_address) REFERENCES tokens(address)
+  );
+
+  -- Internal transactions: condensing payments and gas refunds (carried by
+  -- source_tx_hash) and traced calls, each tied to the contract call tx_hash
+  CREATE TABLE IF NOT EXISTS internal_transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tx_hash TEXT,
+    source_tx_hash TEXT,
+    source_index INTEGER,
+    type TEXT,
+    trace_address TEXT,
+    from_address TEXT,
+    to_address TEXT,
+    value TEXT,
+    gas_used TEXT,
+    input TEXT,
+    error TEXT,
+    block_height INTEGER,
+    timestamp INTEGER,
+    FOREIGN KEY (tx_hash) REFERENCES transactions(hash)
+  );
+
   -- Event logs
   CREATE TABLE IF NOT EXISTS event_logs (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -124,38 +275,213 @@ db.exec(`
     FOREIGN KEY (tx_hash) REFERENCES transactions(hash)
   );
 
+  -- Known function selectors and event topics, for contracts without a verified ABI
+  CREATE TABLE IF NOT EXISTS signatures (
+    selector TEXT,
+    type TEXT,
+    signature TEXT,
+    canonical TEXT,
+    fragment TEXT,
+    source TEXT,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    PRIMARY KEY (selector, canonical)
+  );
+
   -- Indexer state
   CREATE TABLE IF NOT EXISTS indexer_state (
     key TEXT PRIMARY KEY,
     value TEXT
   );
 
+  -- Chain reorganizations seen by the indexer
+  CREATE TABLE IF NOT EXISTS reorgs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    fork_height INTEGER,
+    depth INTEGER,
+    old_tip_height INTEGER,
+    old_tip_hash TEXT,
+    new_tip_hash TEXT,
+    detected_at INTEGER DEFAULT (strftime('%s', 'now'))
+  );
+
+  -- API keys (only their SHA-256 is kept) and their credits used per day
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key_hash TEXT UNIQUE,
+    prefix TEXT,
+    name TEXT,
+    tier TEXT,
+    rate_limit INTEGER,
+    daily_quota INTEGER,
+    active INTEGER DEFAULT 1,
+    created_at INTEGER DEFAULT (strftime('%s', 'now'))
+  );
+
+  CREATE TABLE IF NOT EXISTS api_usage (
+    key_id INTEGER,
+    day TEXT,
+    requests INTEGER DEFAULT 0,
+    credits INTEGER DEFAULT 0,
+    PRIMARY KEY (key_id, day),
+    FOREIGN KEY (key_id) REFERENCES api_keys(id)
+  );
+
+  -- Watched addresses and the webhook their activity is posted to. types is
+  -- a comma separated subset of coin, token and log.
+  CREATE TABLE IF NOT EXISTS watchlists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT,
+    address TEXT,
+    address_base58 TEXT,
+    address_hex TEXT,
+    webhook_url TEXT,
+    secret TEXT,
+    types TEXT,
+    min_value TEXT,
+    token_address TEXT,
+    event_topic TEXT,
+    -- Last indexed block when created; only later blocks alert
+    created_height INTEGER,
+    active INTEGER DEFAULT 1,
+    created_at INTEGER DEFAULT (strftime('%s', 'now'))
+  );
+
+  -- Webhook deliveries; status is pending, delivered or dead (retries used up)
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    watchlist_id INTEGER,
+    event_key TEXT,
+    event_type TEXT,
+    block_height INTEGER,
+    payload TEXT,
+    status TEXT DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at INTEGER,
+    last_status INTEGER,
+    last_error TEXT,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    delivered_at INTEGER,
+    UNIQUE (watchlist_id, event_key),
+    FOREIGN KEY (watchlist_id) REFERENCES watchlists(id)
+  );
+
+  -- Calls to the node RPC proxy, including refused ones
+  CREATE TABLE IF NOT EXISTS rpc_audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    method TEXT,
+    params TEXT,
+    ip TEXT,
+    admin INTEGER,
+    status TEXT,
+    error TEXT,
+    duration_ms INTEGER,
+    created_at INTEGER DEFAULT (strftime('%s', 'now'))
+  );
+
   -- Create indexes for common queries
   CREATE INDEX IF NOT EXISTS idx_tx_from ON transactions(from_address);
   CREATE INDEX IF NOT EXISTS idx_tx_to ON transactions(to_address);
   CREATE INDEX IF NOT EXISTS idx_tx_block ON transactions(block_height);
+  CREATE INDEX IF NOT EXISTS idx_tx_contract ON transactions(contract_address);
+  CREATE INDEX IF NOT EXISTS idx_inputs_address ON tx_inputs(address);
+  CREATE INDEX IF NOT EXISTS idx_inputs_block ON tx_inputs(block_height);
+  CREATE INDEX IF NOT EXISTS idx_outputs_address ON tx_outputs(address);
+  CREATE INDEX IF NOT EXISTS idx_outputs_block ON tx_outputs(block_height);
+  CREATE INDEX IF NOT EXISTS idx_mempool_address ON mempool_addresses(address);
   CREATE INDEX IF NOT EXISTS idx_logs_address ON event_logs(address);
   CREATE INDEX IF NOT EXISTS idx_logs_topic0 ON event_logs(topic0);
+  CREATE INDEX IF NOT EXISTS idx_logs_block ON event_logs(block_height);
   CREATE INDEX IF NOT EXISTS idx_transfers_token ON token_transfers(token_address);
   CREATE INDEX IF NOT EXISTS idx_transfers_from ON token_transfers(from_address);
   CREATE INDEX IF NOT EXISTS idx_transfers_to ON token_transfers(to_address);
+  CREATE INDEX IF NOT EXISTS idx_transfers_block ON token_transfers(block_height);
+  CREATE INDEX IF NOT EXISTS idx_nft_owner ON nft_tokens(owner);
+  CREATE INDEX IF NOT EXISTS idx_nft_transfers_token ON nft_transfers(contract_address, token_id);
+  CREATE INDEX IF NOT EXISTS idx_nft_transfers_block ON nft_transfers(block_height);
+  CREATE INDEX IF NOT EXISTS idx_multi_balances_holder ON multi_token_balances(holder);
+  CREATE INDEX IF NOT EXISTS idx_multi_transfers_token ON multi_token_transfers(contract_address, token_id);
+  CREATE INDEX IF NOT EXISTS idx_multi_transfers_block ON multi_token_transfers(block_height);
+  CREATE INDEX IF NOT EXISTS idx_internal_tx ON internal_transactions(tx_hash);
+  CREATE INDEX IF NOT EXISTS idx_internal_source ON internal_transactions(source_tx_hash);
+  CREATE INDEX IF NOT EXISTS idx_internal_from ON internal_transactions(from_address);
+  CREATE INDEX IF NOT EXISTS idx_internal_to ON internal_transactions(to_address);
+  CREATE INDEX IF NOT EXISTS idx_internal_block ON internal_transactions(block_height);
   CREATE INDEX IF NOT EXISTS idx_blocks_hash ON blocks(hash);
+  CREATE INDEX IF NOT EXISTS idx_blocks_miner ON blocks(miner);
+  CREATE INDEX IF NOT EXISTS idx_blocks_timestamp ON blocks(timestamp);
+  CREATE INDEX IF NOT EXISTS idx_rpc_audit_method ON rpc_audit_log(method);
+  CREATE INDEX IF NOT EXISTS idx_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_deliveries_watchlist ON webhook_deliveries(watchlist_id);
 `);
 
+// Add columns introduced after the first release to existing databases
+const addColumn = (table, column, type) => {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+};
+
+addColumn('transactions', 'fee', 'TEXT');
+addColumn('blocks', 'fees', 'TEXT');
+addColumn('transactions', 'method', 'TEXT');
+addColumn('transactions', 'decoded_input', 'TEXT');
+addColumn('contracts', 'optimization_runs', 'INTEGER');
+addColumn('contracts', 'evm_version', 'TEXT');
+addColumn('contracts', 'source_path', 'TEXT');
+addColumn('contracts', 'remappings', 'TEXT');
+addColumn('contracts', 'libraries', 'TEXT');
+addColumn('contracts', 'match_type', 'TEXT');
+addColumn('contracts', 'metadata', 'TEXT');
+addColumn('tokens', 'standard', "TEXT DEFAULT 'QRC-20'");
+addColumn('watchlists', 'created_height', 'INTEGER DEFAULT -1');
+
+// Rewards and fees of blocks indexed before refunds were tracked include the
+// gas refunds paid with them; take out the refunds recorded for those blocks
+if (!db.prepare('PRAGMA table_info(blocks)').all().some(c => c.name === 'refunds')) {
+  addColumn('blocks', 'refunds', 'TEXT');
+  db.exec(`
+    UPDATE blocks SET refunds = (
+      SELECT COALESCE(SUM(CAST(value AS INTEGER)), 0) FROM internal_transactions
+      WHERE type = 'refund' AND block_height = blocks.height
+    );
+    UPDATE blocks SET
+      block_reward = CAST(block_reward AS INTEGER) - CAST(refunds AS INTEGER),
+      fees = CAST(fees AS INTEGER) - CAST(refunds AS INTEGER)
+    WHERE refunds != '0';
+  `);
+}
+
 // Prepared statements for common operations
 const statements = {
   insertBlock: db.prepare(`
     INSERT OR REPLACE INTO blocks
-    (height, hash, parent_hash, timestamp, miner, difficulty, gas_limit, gas_used, tx_count, size, nonce, is_pos, block_reward)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    (height, hash, parent_hash, timestamp, miner, difficulty, gas_limit, gas_used, tx_count, size, nonce, is_pos, block_reward, fees, refunds)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `),
 
   insertTx: db.prepare(`
     INSERT OR REPLACE INTO transactions
-    (hash, block_height, block_hash, tx_index, from_address, to_address, value, gas, gas_price, gas_used, nonce, input, status, contract_address, timestamp)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    (hash, block_height, block_hash, tx_index, from_address, to_address, value, gas, gas_price, gas_used, nonce, input, status, contract_address, fee, method, decoded_input, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  insertInput: db.prepare(`
+    INSERT OR REPLACE INTO tx_inputs
+    (tx_hash, input_index, prev_tx_hash, prev_output_index, address, value, is_coinbase, block_height)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `),
 
+  insertOutput: db.prepare(`
+    INSERT OR REPLACE INTO tx_outputs
+    (tx_hash, output_index, address, value, script_type, block_height)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+
+  getOutput: db.prepare(`SELECT * FROM tx_outputs WHERE tx_hash = ? AND output_index = ?`),
+  getTxInputs: db.prepare(`SELECT * FROM tx_inputs WHERE tx_hash = ? ORDER BY input_index`),
+  getTxOutputs: db.prepare(`SELECT * FROM tx_outputs WHERE tx_hash = ? ORDER BY output_index`),
+
   insertLog: db.prepare(`
     INSERT INTO event_logs
     (tx_hash, log_index, address, topic0, topic1, topic2, topic3, data, block_height, timestamp, decoded_name, decoded_args)
@@ -163,8 +489,8 @@ const statements = {
   `),
 
   insertToken: db.prepare(`
-    INSERT OR REPLACE INTO tokens (address, name, symbol, decimals, total_supply, owner)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT OR REPLACE INTO tokens (address, name, symbol, decimals, total_supply, owner, standard)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
   `),
 
   insertTransfer: db.prepare(`
@@ -177,6 +503,81 @@ const statements = {
     VALUES (?, ?, ?, ?)
   `),
 
+  insertNftTransfer: db.prepare(`
+    INSERT INTO nft_transfers (tx_hash, log_index, contract_address, token_id, from_address, to_address, block_height, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  setNftOwner: db.prepare(`
+    INSERT INTO nft_tokens (contract_address, token_id, owner, last_updated)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT (contract_address, token_id) DO UPDATE SET owner = excluded.owner, last_updated = excluded.last_updated
+  `),
+  deleteNftToken: db.prepare(`DELETE FROM nft_tokens WHERE contract_address = ? AND token_id = ?`),
+
+  insertMultiTransfer: db.prepare(`
+    INSERT INTO multi_token_transfers
+    (tx_hash, log_index, batch_index, contract_address, token_id, operator, from_address, to_address, value, block_height, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  getMultiToken: db.prepare(`SELECT * FROM multi_tokens WHERE contract_address = ? AND token_id = ?`),
+  setMultiTokenSupply: db.prepare(`
+    INSERT INTO multi_tokens (contract_address, token_id, supply, first_block, last_updated)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (contract_address, token_id) DO UPDATE SET supply = excluded.supply, last_updated = excluded.last_updated
+  `),
+  setMultiTokenUri: db.prepare(`
+    UPDATE multi_tokens SET uri = ?, metadata = ? WHERE contract_address = ? AND token_id = ?
+  `),
+  getMultiBalance: db.prepare(`
+    SELECT balance FROM multi_token_balances WHERE contract_address = ? AND token_id = ? AND holder = ?
+  `),
+  updateMultiBalance: db.prepare(`
+    INSERT OR REPLACE INTO multi_token_balances (contract_address, token_id, holder, balance, last_updated)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+
+  insertInternalTx: db.prepare(`
+    INSERT INTO internal_transactions
+    (tx_hash, source_tx_hash, source_index, type, trace_address, from_address, to_address, value, gas_used, input, error, block_height, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  getTokenBalance: db.prepare(`
+    SELECT balance FROM token_balances WHERE address = ? AND token_address = ?
+  `),
+  getTokenHolderBalances: db.prepare(`
+    SELECT tb.*, t.decimals
+    FROM token_balances tb
+    JOIN tokens t ON tb.token_address = t.address
+    WHERE tb.token_address = ?
+  `),
+  getAllTokenBalances: db.prepare(`
+    SELECT tb.*, t.decimals
+    FROM token_balances tb
+    JOIN tokens t ON tb.token_address = t.address
+  `),
+
+  // Reorg rollback: drop everything above the common ancestor
+  deleteBlocksAbove: db.prepare(`DELETE FROM blocks WHERE height > ?`),
+  deleteTxsAbove: db.prepare(`DELETE FROM transactions WHERE block_height > ?`),
+  deleteInputsAbove: db.prepare(`DELETE FROM tx_inputs WHERE block_height > ?`),
+  deleteOutputsAbove: db.prepare(`DELETE FROM tx_outputs WHERE block_height > ?`),
+  deleteLogsAbove: db.prepare(`DELETE FROM event_logs WHERE block_height > ?`),
+  deleteInternalTxsAbove: db.prepare(`DELETE FROM internal_transactions WHERE block_height > ?`),
+  getTransfersAbove: db.prepare(`SELECT * FROM token_transfers WHERE block_height > ? ORDER BY id DESC`),
+  deleteTransfersAbove: db.prepare(`DELETE FROM token_transfers WHERE block_height > ?`),
+  getNftTransfersAbove: db.prepare(`SELECT * FROM nft_transfers WHERE block_height > ? ORDER BY id DESC`),
+  deleteNftTransfersAbove: db.prepare(`DELETE FROM nft_transfers WHERE block_height > ?`),
+  getMultiTransfersAbove: db.prepare(`SELECT * FROM multi_token_transfers WHERE block_height > ? ORDER BY id DESC`),
+  deleteMultiTransfersAbove: db.prepare(`DELETE FROM multi_token_transfers WHERE block_height > ?`),
+  deleteMultiTokensAbove: db.prepare(`DELETE FROM multi_tokens WHERE first_block > ?`),
+
+  insertReorg: db.prepare(`
+    INSERT INTO reorgs (fork_height, depth, old_tip_height, old_tip_hash, new_tip_hash)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+  getReorgs: db.prepare(`SELECT * FROM reorgs ORDER BY id DESC LIMIT ?`),
+
   getIndexerState: db.prepare(`SELECT value FROM indexer_state WHERE key = ?`),
   setIndexerState: db.prepare(`INSERT OR REPLACE INTO indexer_state (key, value) VALUES (?, ?)`),
 
@@ -184,6 +585,39 @@ const statements = {
   getBlockByHash: db.prepare(`SELECT * FROM blocks WHERE hash = ?`),
   getLatestBlocks: db.prepare(`SELECT * FROM blocks ORDER BY height DESC LIMIT ?`),
 
+  // Block producers (PoW miners or PoS stakers) since a given time
+  getProducers: db.prepare(`
+    SELECT
+      miner as address,
+      COUNT(*) as blocks,
+      CAST(SUM(CAST(block_reward AS INTEGER)) AS TEXT) as rewards,
+      CAST(SUM(CAST(fees AS INTEGER)) AS TEXT) as fees,
+      MAX(height) as last_block
+    FROM blocks
+    WHERE is_pos = ? AND timestamp >= ? AND miner IS NOT NULL
+    GROUP BY miner
+    ORDER BY blocks DESC
+    LIMIT ? OFFSET ?
+  `),
+  countProducedBlocks: db.prepare(`
+    SELECT COUNT(*) as count FROM blocks WHERE is_pos = ? AND timestamp >= ?
+  `),
+
+  // Closest block at or before / at or after a unix time
+  getBlockBefore: db.prepare(`
+    SELECT height FROM blocks WHERE timestamp <= ? ORDER BY timestamp DESC, height DESC LIMIT 1
+  `),
+  getBlockAfter: db.prepare(`
+    SELECT height FROM blocks WHERE timestamp >= ? ORDER BY timestamp, height LIMIT 1
+  `),
+
+  // Received minus spent, in satoshis, for any of the address forms given
+  getAddressBalance: db.prepare(`
+    SELECT
+      (SELECT COALESCE(SUM(CAST(value AS INTEGER)), 0) FROM tx_outputs WHERE address IN (?, ?)) -
+      (SELECT COALESCE(SUM(CAST(value AS INTEGER)), 0) FROM tx_inputs WHERE address IN (?, ?)) as balance
+  `),
+
   getTx: db.prepare(`SELECT * FROM transactions WHERE hash = ?`),
   getTxsByBlock: db.prepare(`SELECT * FROM transactions WHERE block_height = ? ORDER BY tx_index`),
   getTxsByAddress: db.prepare(`
@@ -193,11 +627,41 @@ const statements = {
     LIMIT ? OFFSET ?
   `),
 
+  // Address history with amounts sent and received, from inputs and outputs
+  getAddressHistory: db.prepare(`
+    WITH io AS (
+      SELECT tx_hash, SUM(CAST(value AS INTEGER)) as sent, 0 as received
+      FROM tx_inputs WHERE address = ? GROUP BY tx_hash
+      UNION ALL
+      SELECT tx_hash, 0 as sent, SUM(CAST(value AS INTEGER)) as received
+      FROM tx_outputs WHERE address = ? GROUP BY tx_hash
+    )
+    SELECT t.*,
+      CAST(SUM(io.sent) AS TEXT) as sent,
+      CAST(SUM(io.received) AS TEXT) as received
+    FROM io
+    JOIN transactions t ON t.hash = io.tx_hash
+    GROUP BY t.hash
+    ORDER BY t.block_height DESC, t.tx_index DESC
+    LIMIT ? OFFSET ?
+  `),
+
   getContract: db.prepare(`SELECT * FROM contracts WHERE address = ?`),
+  getContractAbis: db.prepare(`SELECT address, abi FROM contracts WHERE abi IS NOT NULL`),
   insertContract: db.prepare(`
     INSERT OR REPLACE INTO contracts
-    (address, name, source_code, abi, compiler_version, optimization, constructor_args, verified_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    (address, name, source_code, abi, compiler_version, optimization, optimization_runs, evm_version, constructor_args, source_path, remappings, libraries, match_type, metadata, verified_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  insertContractSource: db.prepare(`
+    INSERT OR REPLACE INTO contract_sources (contract_address, path, content) VALUES (?, ?, ?)
+  `),
+  deleteContractSources: db.prepare(`DELETE FROM contract_sources WHERE contract_address = ?`),
+  getContractSources: db.prepare(`
+    SELECT path, content FROM contract_sources WHERE contract_address = ? ORDER BY path
+  `),
+  getCreationTx: db.prepare(`
+    SELECT hash, input FROM transactions WHERE contract_address = ? ORDER BY block_height LIMIT 1
   `),
 
   getToken: db.prepare(`SELECT * FROM tokens WHERE address = ?`),
@@ -205,7 +669,7 @@ const statements = {
     SELECT tb.*, t.name, t.symbol, t.decimals
     FROM token_balances tb
     JOIN tokens t ON tb.token_address = t.address
-    WHERE tb.address = ?
+    WHERE tb.address = ? AND tb.balance != '0'
   `),
 
   getTokenTransfers: db.prepare(`
@@ -217,6 +681,131 @@ const statements = {
     LIMIT ? OFFSET ?
   `),
 
+  // Token ids are decimal strings, ordered numerically by length first
+  getNftTokens: db.prepare(`
+    SELECT * FROM nft_tokens
+    WHERE contract_address = ?
+    ORDER BY LENGTH(token_id), token_id
+    LIMIT ? OFFSET ?
+  `),
+  getNftCollectionStats: db.prepare(`
+    SELECT
+      COUNT(*) as tokens,
+      COUNT(DISTINCT owner) as holders
+    FROM nft_tokens
+    WHERE contract_address = ? AND owner != '0x0000000000000000000000000000000000000000'
+  `),
+  getNftToken: db.prepare(`SELECT * FROM nft_tokens WHERE contract_address = ? AND token_id = ?`),
+  getNftTransfers: db.prepare(`
+    SELECT * FROM nft_transfers
+    WHERE contract_address = ?
+    ORDER BY block_height DESC, log_index DESC
+    LIMIT ? OFFSET ?
+  `),
+  getNftTokenTransfers: db.prepare(`
+    SELECT * FROM nft_transfers
+    WHERE contract_address = ? AND token_id = ?
+    ORDER BY block_height DESC, log_index DESC
+    LIMIT ? OFFSET ?
+  `),
+  getNftsByOwner: db.prepare(`
+    SELECT n.*, t.name, t.symbol
+    FROM nft_tokens n
+    JOIN tokens t ON n.contract_address = t.address
+    WHERE n.owner = ?
+    ORDER BY n.contract_address, LENGTH(n.token_id), n.token_id
+    LIMIT ? OFFSET ?
+  `),
+  setNftMetadata: db.prepare(`
+    UPDATE nft_tokens SET token_uri = ?, metadata = ? WHERE contract_address = ? AND token_id = ?
+  `),
+
+  getMultiTokens: db.prepare(`
+    SELECT m.*,
+      (SELECT COUNT(*) FROM multi_token_balances b
+       WHERE b.contract_address = m.contract_address AND b.token_id = m.token_id AND b.balance != '0') as holders
+    FROM multi_tokens m
+    WHERE m.contract_address = ?
+    ORDER BY LENGTH(m.token_id), m.token_id
+    LIMIT ? OFFSET ?
+  `),
+  getMultiTokenStats: db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM multi_tokens WHERE contract_address = ?) as ids,
+      (SELECT COUNT(DISTINCT holder) FROM multi_token_balances WHERE contract_address = ? AND balance != '0') as holders,
+      (SELECT COUNT(*) FROM multi_token_transfers WHERE contract_address = ?) as transfers
+  `),
+  getMultiTokenHolders: db.prepare(`
+    SELECT holder, balance
+    FROM multi_token_balances
+    WHERE contract_address = ? AND token_id = ? AND balance != '0'
+    ORDER BY LENGTH(balance) DESC, balance DESC
+    LIMIT ? OFFSET ?
+  `),
+  getMultiTokenTransfers: db.prepare(`
+    SELECT * FROM multi_token_transfers
+    WHERE contract_address = ? AND token_id = ?
+    ORDER BY block_height DESC, log_index DESC, batch_index DESC
+    LIMIT ? OFFSET ?
+  `),
+  getMultiBalancesByHolder: db.prepare(`
+    SELECT b.*, t.name, t.symbol
+    FROM multi_token_balances b
+    JOIN tokens t ON b.contract_address = t.address
+    WHERE b.holder = ? AND b.balance != '0'
+    ORDER BY b.contract_address, LENGTH(b.token_id), b.token_id
+  `),
+
+  // Internal transactions caused by a tx, or carried by it (condensing tx,
+  // coinbase or coinstake)
+  getTxInternalTxs: db.prepare(`
+    SELECT * FROM internal_transactions
+    WHERE tx_hash = ? OR source_tx_hash = ?
+    ORDER BY id
+  `),
+  // Addresses are matched in both forms: base58 for coin payments and bare
+  // hex for contracts and traced calls
+  getAddressInternalTxs: db.prepare(`
+    SELECT * FROM internal_transactions
+    WHERE from_address IN (?, ?) OR to_address IN (?, ?)
+    ORDER BY block_height DESC, id DESC
+    LIMIT ? OFFSET ?
+  `),
+
+  insertMempoolTx: db.prepare(`
+    INSERT OR REPLACE INTO mempool_txs (hash, from_address, to_address, value, fee, size, fee_rate, first_seen)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  insertMempoolAddress: db.prepare(`
+    INSERT OR REPLACE INTO mempool_addresses (tx_hash, address, sent, received)
+    VALUES (?, ?, ?, ?)
+  `),
+  deleteMempoolTx: db.prepare(`DELETE FROM mempool_txs WHERE hash = ?`),
+  deleteMempoolAddresses: db.prepare(`DELETE FROM mempool_addresses WHERE tx_hash = ?`),
+  getMempoolHashes: db.prepare(`SELECT hash FROM mempool_txs`),
+  getMempoolTx: db.prepare(`SELECT * FROM mempool_txs WHERE hash = ?`),
+  getMempoolTxs: db.prepare(`
+    SELECT * FROM mempool_txs
+    ORDER BY fee_rate DESC, first_seen ASC
+    LIMIT ? OFFSET ?
+  `),
+  getMempoolStats: db.prepare(`
+    SELECT
+      COUNT(*) as count,
+      CAST(COALESCE(SUM(CAST(fee AS INTEGER)), 0) AS TEXT) as total_fees,
+      COALESCE(SUM(size), 0) as total_size,
+      MIN(fee_rate) as min_fee_rate,
+      MAX(fee_rate) as max_fee_rate
+    FROM mempool_txs
+  `),
+  getMempoolTxsByAddress: db.prepare(`
+    SELECT m.*, ma.sent, ma.received
+    FROM mempool_addresses ma
+    JOIN mempool_txs m ON m.hash = ma.tx_hash
+    WHERE ma.address = ?
+    ORDER BY m.first_seen DESC
+  `),
+
   getLogs: db.prepare(`
     SELECT * FROM event_logs
     WHERE address = ?
@@ -224,6 +813,165 @@ const statements = {
     LIMIT ? OFFSET ?
   `),
 
+  insertSignature: db.prepare(`
+    INSERT OR IGNORE INTO signatures (selector, type, signature, canonical, fragment, source)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  // Standard interfaces first, they are the likeliest match
+  getSignatures: db.prepare(`
+    SELECT selector, type, signature, fragment, source FROM signatures
+    WHERE selector = ?
+    ORDER BY source = 'verified', created_at
+  `),
+
+  // Re-decoding after a contract is verified
+  getLogsForDecoding: db.prepare(`
+    SELECT id, topic0, topic1, topic2, topic3, data FROM event_logs
+    WHERE address = ? AND id > ?
+    ORDER BY id
+    LIMIT ?
+  `),
+  setLogDecoded: db.prepare(`UPDATE event_logs SET decoded_name = ?, decoded_args = ? WHERE id = ?`),
+  getTxsForDecoding: db.prepare(`
+    SELECT rowid AS row, hash, input FROM transactions
+    WHERE to_address = ? AND rowid > ? AND input != '0x'
+    ORDER BY rowid
+    LIMIT ?
+  `),
+  setTxDecoded: db.prepare(`UPDATE transactions SET method = ?, decoded_input = ? WHERE hash = ?`),
+
+  insertRpcAudit: db.prepare(`
+    INSERT INTO rpc_audit_log (method, params, ip, admin, status, error, duration_ms)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+  getRpcAudit: db.prepare(`SELECT * FROM rpc_audit_log ORDER BY id DESC LIMIT ? OFFSET ?`),
+
+  // What a newly indexed block touched, for the live feed
+  getBlockLogs: db.prepare(`SELECT * FROM event_logs WHERE block_height = ? ORDER BY id`),
+  getBlockTokenTransfers: db.prepare(`
+    SELECT tt.*, t.name, t.symbol, t.decimals
+    FROM token_transfers tt
+    LEFT JOIN tokens t ON t.address = tt.token_address
+    WHERE tt.block_height = ?
+    ORDER BY tt.id
+  `),
+  getBlockNftTransfers: db.prepare(`SELECT * FROM nft_transfers WHERE block_height = ? ORDER BY id`),
+  getBlockMultiTransfers: db.prepare(`SELECT * FROM multi_token_transfers WHERE block_height = ? ORDER BY id`),
+  // Every address a transaction of the block involves, in whatever form it's
+  // stored (base58, bare or 0x hex)
+  getBlockAddresses: db.prepare(`
+    SELECT tx_hash, address FROM tx_inputs WHERE block_height = @height AND address IS NOT NULL
+    UNION SELECT tx_hash, address FROM tx_outputs WHERE block_height = @height AND address IS NOT NULL
+    UNION SELECT hash, from_address FROM transactions WHERE block_height = @height AND from_address IS NOT NULL
+    UNION SELECT hash, to_address FROM transactions WHERE block_height = @height AND to_address IS NOT NULL
+    UNION SELECT tx_hash, from_address FROM token_transfers WHERE block_height = @height
+    UNION SELECT tx_hash, to_address FROM token_transfers WHERE block_height = @height
+    UNION SELECT tx_hash, from_address FROM nft_transfers WHERE block_height = @height
+    UNION SELECT tx_hash, to_address FROM nft_transfers WHERE block_height = @height
+    UNION SELECT tx_hash, from_address FROM multi_token_transfers WHERE block_height = @height
+    UNION SELECT tx_hash, to_address FROM multi_token_transfers WHERE block_height = @height
+    UNION SELECT tx_hash, from_address FROM internal_transactions WHERE block_height = @height AND from_address IS NOT NULL
+    UNION SELECT tx_hash, to_address FROM internal_transactions WHERE block_height = @height AND to_address IS NOT NULL
+  `),
+
+  // Coins in and out of each address per transaction of a block
+  getBlockReceived: db.prepare(`
+    SELECT tx_hash, address, SUM(CAST(value AS INTEGER)) as value FROM tx_outputs
+    WHERE block_height = ? AND address IS NOT NULL
+    GROUP BY tx_hash, address
+  `),
+  getBlockSpent: db.prepare(`
+    SELECT tx_hash, address, SUM(CAST(value AS INTEGER)) as value FROM tx_inputs
+    WHERE block_height = ? AND address IS NOT NULL
+    GROUP BY tx_hash, address
+  `),
+
+  insertWatchlist: db.prepare(`
+    INSERT INTO watchlists (name, address, address_base58, address_hex, webhook_url, secret, types, min_value, token_address, event_topic, created_height)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  getWatchlist: db.prepare(`SELECT * FROM watchlists WHERE id = ?`),
+  getWatchlists: db.prepare(`
+    SELECT w.*,
+      (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.watchlist_id = w.id AND d.status = 'delivered') as delivered,
+      (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.watchlist_id = w.id AND d.status = 'pending') as pending,
+      (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.watchlist_id = w.id AND d.status = 'dead') as dead
+    FROM watchlists w
+    ORDER BY w.id
+  `),
+  getActiveWatchlists: db.prepare(`SELECT * FROM watchlists WHERE active = 1 AND created_height < ?`),
+  deactivateWatchlist: db.prepare(`UPDATE watchlists SET active = 0 WHERE id = ?`),
+
+  insertDelivery: db.prepare(`
+    INSERT OR IGNORE INTO webhook_deliveries (watchlist_id, event_key, event_type, block_height, payload, next_attempt_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  getDueDeliveries: db.prepare(`
+    SELECT d.*, w.webhook_url, w.secret
+    FROM webhook_deliveries d
+    JOIN watchlists w ON w.id = d.watchlist_id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = 1
+    ORDER BY d.next_attempt_at, d.id
+    LIMIT ?
+  `),
+  setDeliveryDelivered: db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = 'delivered', attempts = attempts + 1, last_status = ?, last_error = NULL, delivered_at = ?
+    WHERE id = ?
+  `),
+  setDeliveryFailed: db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = attempts + 1, last_status = ?, last_error = ?, next_attempt_at = ?
+    WHERE id = ?
+  `),
+  retryDelivery: db.prepare(`
+    UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?
+    WHERE id = ? AND status = 'dead'
+  `),
+  // Not yet sent alerts about blocks that were reorganized away
+  deletePendingDeliveriesAbove: db.prepare(`
+    DELETE FROM webhook_deliveries WHERE status = 'pending' AND block_height > ?
+  `),
+  getDeliveries: db.prepare(`
+    SELECT id, watchlist_id, event_key, event_type, block_height, payload, status, attempts,
+      next_attempt_at, last_status, last_error, created_at, delivered_at
+    FROM webhook_deliveries
+    WHERE watchlist_id = ? AND (? IS NULL OR status = ?)
+    ORDER BY id DESC
+    LIMIT ? OFFSET ?
+  `),
+
+  insertApiKey: db.prepare(`
+    INSERT INTO api_keys (key_hash, prefix, name, tier, rate_limit, daily_quota)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  getApiKeyByHash: db.prepare(`SELECT * FROM api_keys WHERE key_hash = ?`),
+  getApiKey: db.prepare(`
+    SELECT id, prefix, name, tier, rate_limit, daily_quota, active, created_at
+    FROM api_keys WHERE id = ?
+  `),
+  getApiKeys: db.prepare(`
+    SELECT k.id, k.prefix, k.name, k.tier, k.rate_limit, k.daily_quota, k.active, k.created_at,
+      COALESCE(u.requests, 0) as requests_today, COALESCE(u.credits, 0) as credits_today
+    FROM api_keys k
+    LEFT JOIN api_usage u ON u.key_id = k.id AND u.day = ?
+    ORDER BY k.id
+  `),
+  revokeApiKey: db.prepare(`UPDATE api_keys SET active = 0 WHERE id = ?`),
+  getApiUsage: db.prepare(`SELECT * FROM api_usage WHERE key_id = ? AND day = ?`),
+  getApiUsageHistory: db.prepare(`
+    SELECT day, requests, credits FROM api_usage
+    WHERE key_id = ?
+    ORDER BY day DESC
+    LIMIT ?
+  `),
+  addApiUsage: db.prepare(`
+    INSERT INTO api_usage (key_id, day, requests, credits) VALUES (?, ?, 1, ?)
+    ON CONFLICT(key_id, day) DO UPDATE SET
+      requests = requests + 1,
+      credits = credits + excluded.credits
+  `),
+
   getStats: db.prepare(`
     SELECT
       (SELECT MAX(height) FROM blocks) as latest_block,
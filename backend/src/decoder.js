@@ -0,0 +1,135 @@
+// Decodes event logs and call data with the ABIs of verified contracts
+const { ethers } = require('ethers');
+const { db, statements } = require('./db');
+
+// Interface per contract address (bare hex), null when it isn't verified
+const interfaces = new Map();
+
+const getInterface = (address) => {
+  if (!address) return null;
+  if (!interfaces.has(address)) {
+    let iface = null;
+    const contract = statements.getContract.get(address);
+    if (contract?.abi) {
+      try {
+        iface = new ethers.Interface(JSON.parse(contract.abi));
+      } catch (e) {
+        console.warn(`Unusable ABI for contract ${address}: ${e.message}`);
+      }
+    }
+    interfaces.set(address, iface);
+  }
+  return interfaces.get(address);
+};
+
+// JSON-safe values: bigints as decimal strings, tuples and arrays as arrays
+const serialize = (value) => {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return Array.from(value, serialize);
+  return value;
+};
+
+const describeArgs = (params, values) => params.map((param, i) => ({
+  name: param.name,
+  type: param.type,
+  value: serialize(values[i])
+}));
+
+// Decode a log given bare hex topics and data. Returns { name, signature, args }
+const decodeLog = (address, topics, data) => {
+  const iface = getInterface(address);
+  if (!iface || topics.length === 0) return null;
+
+  try {
+    const parsed = iface.parseLog({
+      topics: topics.map(topic => '0x' + topic),
+      data: '0x' + (data || '').replace(/^0x/, '')
+    });
+    if (!parsed) return null;
+    return {
+      name: parsed.name,
+      signature: parsed.signature,
+      args: describeArgs(parsed.fragment.inputs, parsed.args)
+    };
+  } catch (e) {
+    // Same topic0, different indexing or a bad log
+    return null;
+  }
+};
+
+// Decode call data (hex, with or without 0x) sent to a contract.
+// Returns { name, signature, selector, args }
+const decodeInput = (address, input) => {
+  const iface = getInterface(address);
+  const data = (input || '').replace(/^0x/, '');
+  if (!iface || data.length < 8) return null;
+
+  try {
+    const parsed = iface.parseTransaction({ data: '0x' + data });
+    if (!parsed) return null;
+    return {
+      name: parsed.name,
+      signature: parsed.signature,
+      selector: parsed.selector,
+      args: describeArgs(parsed.fragment.inputs, parsed.args)
+    };
+  } catch (e) {
+    return null;
+  }
+};
+
+const BACKFILL_BATCH = 1000;
+
+// Decode logs and transactions indexed before address was verified (or
+// re-decode them after it is verified again)
+const backfillContract = (address) => {
+  interfaces.delete(address);
+  const counts = { logs: 0, transactions: 0 };
+  if (!getInterface(address)) return counts;
+
+  for (let afterId = 0; ;) {
+    const logs = statements.getLogsForDecoding.all(address, afterId, BACKFILL_BATCH);
+    if (logs.length === 0) break;
+
+    db.transaction(() => {
+      for (const log of logs) {
+        const topics = [log.topic0, log.topic1, log.topic2, log.topic3].filter(Boolean);
+        const decoded = decodeLog(address, topics, log.data);
+        statements.setLogDecoded.run(
+          decoded?.name || null,
+          decoded ? JSON.stringify(decoded.args) : null,
+          log.id
+        );
+        if (decoded) counts.logs++;
+      }
+    })();
+    afterId = logs[logs.length - 1].id;
+  }
+
+  for (let afterRow = 0; ;) {
+    const txs = statements.getTxsForDecoding.all(address, afterRow, BACKFILL_BATCH);
+    if (txs.length === 0) break;
+
+    db.transaction(() => {
+      for (const tx of txs) {
+        const decoded = decodeInput(address, tx.input);
+        statements.setTxDecoded.run(
+          decoded?.name || null,
+          decoded ? JSON.stringify(decoded) : null,
+          tx.hash
+        );
+        if (decoded) counts.transactions++;
+      }
+    })();
+    afterRow = txs[txs.length - 1].row;
+  }
+
+  return counts;
+};
+
+module.exports = {
+  describeArgs,
+  decodeLog,
+  decodeInput,
+  backfillContract
+};
@@ -0,0 +1,350 @@
+// Etherscan-compatible API: GET (or POST) /api?module=...&action=..., answered
+// from the index in the { status, message, result } envelope wallets expect
+const express = require('express');
+const { db, statements } = require('./db');
+
+const router = express.Router();
+
+// Highest page * offset Etherscan allows
+const MAX_RESULTS = 10000;
+
+const ok = (result) => ({ status: '1', message: 'OK', result });
+const empty = (message) => ({ status: '0', message, result: [] });
+
+class EtherscanError extends Error {}
+
+// Bare hex (contracts, token holders, traced calls) and base58 (coin
+// payments) forms of an address given either way. Either may be null if the
+// node can't convert it.
+const addressForms = async (rpc, address) => {
+  if (!address) throw new EtherscanError('Error! Missing or invalid address');
+  if (/^(0x)?[0-9a-fA-F]{40}$/.test(address)) {
+    const hex = address.replace(/^0x/i, '').toLowerCase();
+    const base58 = await rpc.fromHexAddress(hex).catch(() => null);
+    return { hex, base58 };
+  }
+  const hex = await rpc.getHexAddress(address).catch(() => null);
+  if (!hex) throw new EtherscanError('Error! Invalid address format');
+  return { hex: hex.toLowerCase(), base58: address };
+};
+
+// Contracts are stored as bare hex; show them the way Ethereum tools expect
+const formatAddress = (address) => address && /^[0-9a-f]{40}$/.test(address) ? '0x' + address : address || '';
+
+const toHex = (n) => '0x' + BigInt(n || 0).toString(16);
+
+const blockParam = (value, fallback) => {
+  if (value === undefined || value === '' || value === 'latest') return fallback;
+  const n = /^0x/i.test(value) ? parseInt(value, 16) : parseInt(value);
+  if (Number.isNaN(n) || n < 0) throw new EtherscanError(`Error! Invalid block number ${value}`);
+  return n;
+};
+
+// page/offset as Etherscan reads them, capped at MAX_RESULTS
+const pageParams = (params, defaultOffset) => {
+  const page = Math.max(parseInt(params.page) || 1, 1);
+  const offset = Math.min(Math.max(parseInt(params.offset) || defaultOffset, 1), MAX_RESULTS);
+  if (page * offset > MAX_RESULTS) {
+    throw new EtherscanError(`Error! Result window is too large, PageNo x Offset size must be less than or equal to ${MAX_RESULTS}`);
+  }
+  return { limit: offset, skip: (page - 1) * offset };
+};
+
+const sortOrder = (sort) => sort === 'desc' ? 'DESC' : 'ASC';
+
+const tipHeight = () => statements.getIndexerState.get('last_block')?.value ?? '0';
+
+// ============ ACCOUNT ============
+
+const balance = async (rpc, params) => {
+  const { hex, base58 } = await addressForms(rpc, params.address);
+  const row = statements.getAddressBalance.get(base58, hex, base58, hex);
+  return ok(String(row.balance));
+};
+
+const txlist = async (rpc, params) => {
+  const { hex, base58 } = await addressForms(rpc, params.address);
+  const startBlock = blockParam(params.startblock, 0);
+  const endBlock = blockParam(params.endblock, Number.MAX_SAFE_INTEGER);
+  const { limit, skip } = pageParams(params, MAX_RESULTS);
+  const order = sortOrder(params.sort);
+
+  const txs = db.prepare(`
+    SELECT DISTINCT t.* FROM transactions t
+    WHERE t.hash IN (
+      SELECT tx_hash FROM tx_inputs WHERE address IN (?, ?)
+      UNION
+      SELECT tx_hash FROM tx_outputs WHERE address IN (?, ?)
+    )
+    AND t.block_height BETWEEN ? AND ?
+    ORDER BY t.block_height ${order}, t.tx_index ${order}
+    LIMIT ? OFFSET ?
+  `).all(base58, hex, base58, hex, startBlock, endBlock, limit, skip);
+
+  if (txs.length === 0) return empty('No transactions found');
+
+  const tip = parseInt(tipHeight());
+  return ok(txs.map(tx => {
+    const decoded = tx.decoded_input ? JSON.parse(tx.decoded_input) : null;
+    const input = tx.input || '0x';
+    return {
+      blockNumber: String(tx.block_height),
+      timeStamp: String(tx.timestamp),
+      hash: tx.hash,
+      nonce: String(tx.nonce || 0),
+      blockHash: tx.block_hash,
+      transactionIndex: String(tx.tx_index),
+      from: formatAddress(tx.from_address),
+      to: formatAddress(tx.to_address),
+      value: tx.value || '0',
+      gas: tx.gas || '0',
+      gasPrice: tx.gas_price || '0',
+      isError: tx.status === 0 ? '1' : '0',
+      txreceipt_status: tx.status === 0 ? '0' : '1',
+      input,
+      contractAddress: formatAddress(tx.contract_address),
+      cumulativeGasUsed: tx.gas_used || '0',
+      gasUsed: tx.gas_used || '0',
+      confirmations: String(tip - tx.block_height + 1),
+      methodId: input.length >= 10 ? input.slice(0, 10) : '0x',
+      functionName: decoded?.signature || ''
+    };
+  }));
+};
+
+const tokentx = async (rpc, params) => {
+  if (!params.address && !params.contractaddress) {
+    throw new EtherscanError('Error! Missing address or contractaddress');
+  }
+  const conditions = ['tt.block_height BETWEEN ? AND ?'];
+  const values = [blockParam(params.startblock, 0), blockParam(params.endblock, Number.MAX_SAFE_INTEGER)];
+
+  if (params.address) {
+    const { hex } = await addressForms(rpc, params.address);
+    conditions.push('(tt.from_address = ? OR tt.to_address = ?)');
+    values.push('0x' + hex, '0x' + hex);
+  }
+  if (params.contractaddress) {
+    const { hex } = await addressForms(rpc, params.contractaddress);
+    conditions.push('tt.token_address = ?');
+    values.push(hex);
+  }
+
+  const { limit, skip } = pageParams(params, MAX_RESULTS);
+  const order = sortOrder(params.sort);
+
+  const transfers = db.prepare(`
+    SELECT tt.*, tk.name, tk.symbol, tk.decimals,
+      t.block_hash, t.tx_index, t.gas, t.gas_price, t.gas_used, t.nonce
+    FROM token_transfers tt
+    JOIN tokens tk ON tk.address = tt.token_address
+    LEFT JOIN transactions t ON t.hash = tt.tx_hash
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY tt.block_height ${order}, tt.log_index ${order}
+    LIMIT ? OFFSET ?
+  `).all(...values, limit, skip);
+
+  if (transfers.length === 0) return empty('No transactions found');
+
+  const tip = parseInt(tipHeight());
+  return ok(transfers.map(transfer => ({
+    blockNumber: String(transfer.block_height),
+    timeStamp: String(transfer.timestamp),
+    hash: transfer.tx_hash,
+    nonce: String(transfer.nonce || 0),
+    blockHash: transfer.block_hash || '',
+    from: transfer.from_address,
+    contractAddress: formatAddress(transfer.token_address),
+    to: transfer.to_address,
+    value: transfer.value,
+    tokenName: transfer.name || '',
+    tokenSymbol: transfer.symbol || '',
+    tokenDecimal: String(transfer.decimals ?? 0),
+    transactionIndex: String(transfer.tx_index ?? 0),
+    gas: transfer.gas || '0',
+    gasPrice: transfer.gas_price || '0',
+    gasUsed: transfer.gas_used || '0',
+    cumulativeGasUsed: transfer.gas_used || '0',
+    input: 'deprecated',
+    confirmations: String(tip - transfer.block_height + 1)
+  })));
+};
+
+// ============ CONTRACT ============
+
+const getVerifiedContract = async (rpc, params) => {
+  const { hex } = await addressForms(rpc, params.address);
+  return statements.getContract.get(hex);
+};
+
+const getabi = async (rpc, params) => {
+  const contract = await getVerifiedContract(rpc, params);
+  if (!contract?.abi) throw new EtherscanError('Contract source code not verified');
+  return ok(contract.abi);
+};
+
+// Multi-file sources are given as Standard JSON input wrapped in an extra pair
+// of braces, the way Etherscan returns them
+const getsourcecode = async (rpc, params) => {
+  const contract = await getVerifiedContract(rpc, params);
+  if (!contract) {
+    return ok([{
+      SourceCode: '',
+      ABI: 'Contract source code not verified',
+      ContractName: '',
+      CompilerVersion: '',
+      OptimizationUsed: '',
+      Runs: '',
+      ConstructorArguments: '',
+      EVMVersion: '',
+      Library: '',
+      LicenseType: '',
+      Proxy: '0',
+      Implementation: '',
+      SwarmSource: ''
+    }]);
+  }
+
+  const files = statements.getContractSources.all(contract.address);
+  let sourceCode = contract.source_code || '';
+  if (files.length > 1) {
+    const standardJson = {
+      language: 'Solidity',
+      sources: Object.fromEntries(files.map(file => [file.path, { content: file.content }])),
+      settings: {
+        optimizer: { enabled: !!contract.optimization, runs: contract.optimization_runs ?? 200 },
+        remappings: contract.remappings ? JSON.parse(contract.remappings) : []
+      }
+    };
+    if (contract.evm_version) standardJson.settings.evmVersion = contract.evm_version;
+    sourceCode = `{${JSON.stringify(standardJson)}}`;
+  } else if (files.length === 1) {
+    sourceCode = files[0].content;
+  }
+
+  const libraries = contract.libraries ? JSON.parse(contract.libraries) : {};
+  const license = /SPDX-License-Identifier:\s*([^\s*]+)/.exec(sourceCode);
+
+  return ok([{
+    SourceCode: sourceCode,
+    ABI: contract.abi || '',
+    ContractName: contract.name || '',
+    CompilerVersion: contract.compiler_version || '',
+    OptimizationUsed: contract.optimization ? '1' : '0',
+    Runs: String(contract.optimization_runs ?? 200),
+    ConstructorArguments: (contract.constructor_args || '').replace(/^0x/i, ''),
+    EVMVersion: contract.evm_version || 'Default',
+    Library: Object.entries(libraries).map(([name, address]) => `${name}:${address}`).join(';'),
+    LicenseType: license ? license[1] : '',
+    Proxy: '0',
+    Implementation: '',
+    SwarmSource: ''
+  }]);
+};
+
+// ============ LOGS ============
+
+// Topic filters are combined left to right with topicX_Y_opr (and/or)
+const getLogs = async (rpc, params) => {
+  const conditions = ['l.block_height BETWEEN ? AND ?'];
+  const values = [blockParam(params.fromBlock, 0), blockParam(params.toBlock, Number.MAX_SAFE_INTEGER)];
+
+  if (params.address) {
+    const { hex } = await addressForms(rpc, params.address);
+    conditions.push('l.address = ?');
+    values.push(hex);
+  }
+
+  let topicFilter = null;
+  const topicValues = [];
+  let previous = null;
+  for (let i = 0; i < 4; i++) {
+    const topic = params[`topic${i}`];
+    if (!topic) continue;
+    if (!/^(0x)?[0-9a-fA-F]{64}$/.test(topic)) throw new EtherscanError(`Error! Invalid topic${i}`);
+
+    const condition = `l.topic${i} = ?`;
+    topicValues.push(topic.replace(/^0x/i, '').toLowerCase());
+    if (topicFilter === null) {
+      topicFilter = condition;
+    } else {
+      const opr = (params[`topic${previous}_${i}_opr`] || 'and').toLowerCase();
+      if (opr !== 'and' && opr !== 'or') throw new EtherscanError(`Error! Invalid topic${previous}_${i}_opr`);
+      topicFilter = `(${topicFilter}) ${opr.toUpperCase()} ${condition}`;
+    }
+    previous = i;
+  }
+
+  if (!params.address && topicFilter === null) {
+    throw new EtherscanError('Error! Missing address or topic');
+  }
+  if (topicFilter !== null) {
+    conditions.push(`(${topicFilter})`);
+    values.push(...topicValues);
+  }
+
+  // Etherscan returns at most 1000 logs per page
+  const { limit, skip } = pageParams(params, 1000);
+
+  const logs = db.prepare(`
+    SELECT l.*, t.tx_index, t.gas_price, t.gas_used
+    FROM event_logs l
+    LEFT JOIN transactions t ON t.hash = l.tx_hash
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY l.block_height, l.log_index
+    LIMIT ? OFFSET ?
+  `).all(...values, Math.min(limit, 1000), skip);
+
+  if (logs.length === 0) return empty('No records found');
+
+  return ok(logs.map(log => ({
+    address: formatAddress(log.address),
+    topics: [log.topic0, log.topic1, log.topic2, log.topic3].filter(Boolean).map(topic => '0x' + topic),
+    data: '0x' + (log.data || '').replace(/^0x/i, ''),
+    blockNumber: toHex(log.block_height),
+    timeStamp: toHex(log.timestamp),
+    gasPrice: toHex(log.gas_price),
+    gasUsed: toHex(log.gas_used),
+    logIndex: toHex(log.log_index),
+    transactionHash: log.tx_hash,
+    transactionIndex: toHex(log.tx_index)
+  })));
+};
+
+// ============ BLOCK ============
+
+const getblocknobytime = async (rpc, params) => {
+  const timestamp = parseInt(params.timestamp);
+  if (Number.isNaN(timestamp)) throw new EtherscanError('Error! Invalid timestamp');
+
+  const closest = params.closest === 'after' ? 'after' : 'before';
+  const row = closest === 'after'
+    ? statements.getBlockAfter.get(timestamp)
+    : statements.getBlockBefore.get(timestamp);
+  if (!row) throw new EtherscanError('Error! No closest block found');
+  return ok(String(row.height));
+};
+
+const ACTIONS = {
+  account: { balance, txlist, tokentx },
+  contract: { getabi, getsourcecode },
+  logs: { getLogs },
+  block: { getblocknobytime }
+};
+
+router.all('/', async (req, res, next) => {
+  const params = { ...req.query, ...(req.body || {}) };
+  if (!params.module) return next();
+
+  try {
+    const handler = ACTIONS[params.module]?.[params.action];
+    if (!handler) {
+      throw new EtherscanError('Error! Missing Or invalid Action name');
+    }
+    res.json(await handler(req.app.locals.rpc, params));
+  } catch (error) {
+    res.json({ status: '0', message: 'NOTOK', result: error instanceof EtherscanError ? error.message : `Error! ${error.message}` });
+  }
+});
+
+module.exports = router;
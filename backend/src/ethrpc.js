@@ -0,0 +1,280 @@
+// Ethereum JSON-RPC endpoint (POST /eth) so EVM tooling like ethers.js and
+// Hardhat can read from WATTx. Methods are translated into WATTxRPC calls or
+// answered from the index. Addresses are accepted as 0x hex or base58 and
+// always returned as 0x hex. Coin amounts are scaled from satoshis (8
+// decimals) to wei (18 decimals), as EVM tools expect.
+const express = require('express');
+const { db, statements } = require('./db');
+
+const router = express.Router();
+
+// Chain ids Qtum-derived networks use when ETH_CHAIN_ID isn't set
+const DEFAULT_CHAIN_IDS = { main: 81, test: 8889, regtest: 8890 };
+const WEI_PER_SATOSHI = 10n ** 10n;
+const MAX_LOGS = 10000;
+const ZERO_WORD = '0x' + '0'.repeat(64);
+
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+const invalidParams = (message) => new JsonRpcError(-32602, message);
+
+const toQuantity = (n) => '0x' + BigInt(n || 0).toString(16);
+const prefix = (hex) => hex ? '0x' + hex.replace(/^0x/i, '').toLowerCase() : null;
+const strip = (hex) => (hex || '').replace(/^0x/i, '').toLowerCase();
+
+// Bare hex address from 0x hex or base58
+const hexAddress = async (rpc, address) => {
+  if (typeof address !== 'string') throw invalidParams('Expected an address');
+  if (/^(0x)?[0-9a-fA-F]{40}$/.test(address)) return strip(address);
+  try {
+    return strip(await rpc.getHexAddress(address));
+  } catch (e) {
+    throw invalidParams(`Invalid address ${address}`);
+  }
+};
+
+const tipHeight = () => parseInt(statements.getIndexerState.get('last_block')?.value ?? '-1');
+
+// Block tag or quantity to a height; only the indexed chain can be queried
+const blockHeight = (tag, fallback = tipHeight()) => {
+  if (tag === undefined || tag === null || tag === 'latest' || tag === 'pending' || tag === 'safe' || tag === 'finalized') {
+    return fallback;
+  }
+  if (tag === 'earliest') return 0;
+  if (typeof tag !== 'string' || !/^0x[0-9a-fA-F]+$/.test(tag)) throw invalidParams(`Invalid block ${tag}`);
+  return parseInt(tag, 16);
+};
+
+let chainId = process.env.ETH_CHAIN_ID ? parseInt(process.env.ETH_CHAIN_ID) : null;
+
+const getChainId = async (rpc) => {
+  if (chainId === null) {
+    const info = await rpc.getBlockchainInfo();
+    chainId = DEFAULT_CHAIN_IDS[info.chain] ?? DEFAULT_CHAIN_IDS.regtest;
+  }
+  return chainId;
+};
+
+// Indexed log row in Ethereum's shape
+const formatLog = (log) => ({
+  address: prefix(log.address),
+  topics: [log.topic0, log.topic1, log.topic2, log.topic3].filter(Boolean).map(prefix),
+  data: '0x' + strip(log.data),
+  blockNumber: toQuantity(log.block_height),
+  blockHash: prefix(log.block_hash),
+  transactionHash: prefix(log.tx_hash),
+  transactionIndex: toQuantity(log.tx_index),
+  logIndex: toQuantity(log.log_index),
+  removed: false
+});
+
+// ============ METHODS ============
+
+const methods = {
+  eth_chainId: async (rpc) => toQuantity(await getChainId(rpc)),
+
+  net_version: async (rpc) => String(await getChainId(rpc)),
+
+  // The indexed tip, which is what latest and the other tags resolve to; the
+  // node may be ahead while the indexer catches up
+  eth_blockNumber: async () => toQuantity(Math.max(tipHeight(), 0)),
+
+  // Unspent coins of the address from the index, in wei
+  eth_getBalance: async (rpc, [address]) => {
+    const hex = await hexAddress(rpc, address);
+    const base58 = await rpc.fromHexAddress(hex).catch(() => null);
+    const { balance } = statements.getAddressBalance.get(base58, hex, base58, hex);
+    return toQuantity(BigInt(balance) * WEI_PER_SATOSHI);
+  },
+
+  eth_getCode: async (rpc, [address]) => {
+    const hex = await hexAddress(rpc, address);
+    const code = await rpc.getContractCode(hex).catch(() => null);
+    return '0x' + strip(code);
+  },
+
+  // getstorage returns the whole storage as { keccak(slot): { slot: value } }
+  eth_getStorageAt: async (rpc, [address, position]) => {
+    const hex = await hexAddress(rpc, address);
+    let slot;
+    try {
+      slot = BigInt(position).toString(16).padStart(64, '0');
+    } catch (e) {
+      throw invalidParams(`Invalid storage position ${position}`);
+    }
+
+    const storage = await rpc.call('getstorage', [hex]).catch(() => ({}));
+    for (const entry of Object.values(storage || {})) {
+      const value = entry?.[slot];
+      if (value !== undefined) return '0x' + strip(value).padStart(64, '0');
+    }
+    return ZERO_WORD;
+  },
+
+  eth_call: async (rpc, [call]) => {
+    if (!call?.to) throw invalidParams('Missing call target');
+    const to = await hexAddress(rpc, call.to);
+    const from = call.from ? await hexAddress(rpc, call.from) : null;
+
+    const result = await rpc.callContract(to, strip(call.data || call.input), from);
+    const { output, excepted } = result?.executionResult || {};
+    if (excepted && excepted !== 'None') {
+      throw new JsonRpcError(3, 'execution reverted', '0x' + strip(output));
+    }
+    return '0x' + strip(output);
+  },
+
+  eth_getLogs: async (rpc, [filter = {}]) => {
+    const conditions = [];
+    const values = [];
+
+    if (filter.blockHash) {
+      const block = statements.getBlockByHash.get(strip(filter.blockHash));
+      if (!block) throw invalidParams('Unknown block hash');
+      conditions.push('l.block_height = ?');
+      values.push(block.height);
+    } else {
+      conditions.push('l.block_height BETWEEN ? AND ?');
+      values.push(blockHeight(filter.fromBlock), blockHeight(filter.toBlock));
+    }
+
+    if (filter.address) {
+      const addresses = Array.isArray(filter.address) ? filter.address : [filter.address];
+      const hexes = await Promise.all(addresses.map(address => hexAddress(rpc, address)));
+      conditions.push(`l.address IN (${hexes.map(() => '?').join(', ')})`);
+      values.push(...hexes);
+    }
+
+    // Each position is null (any), a topic, or a list of alternatives
+    (filter.topics || []).slice(0, 4).forEach((topic, i) => {
+      if (topic === null || topic === undefined) return;
+      const options = (Array.isArray(topic) ? topic : [topic]).map(strip);
+      conditions.push(`l.topic${i} IN (${options.map(() => '?').join(', ')})`);
+      values.push(...options);
+    });
+
+    const logs = db.prepare(`
+      SELECT l.*, t.block_hash, t.tx_index
+      FROM event_logs l
+      LEFT JOIN transactions t ON t.hash = l.tx_hash
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY l.block_height, t.tx_index, l.log_index
+      LIMIT ?
+    `).all(...values, MAX_LOGS + 1);
+
+    if (logs.length > MAX_LOGS) {
+      throw new JsonRpcError(-32005, `Query returned more than ${MAX_LOGS} results`);
+    }
+    return logs.map(formatLog);
+  },
+
+  // Contract transactions get the node's receipt; other indexed transactions a
+  // plain one with no gas or logs
+  eth_getTransactionReceipt: async (rpc, [hash]) => {
+    const txid = strip(hash);
+    const tx = statements.getTx.get(txid);
+    const receipts = await rpc.getTransactionReceipt(txid).catch(() => null);
+
+    if (Array.isArray(receipts) && receipts.length > 0) {
+      const [first] = receipts;
+      const last = receipts[receipts.length - 1];
+      let logIndex = 0;
+      const logs = receipts.flatMap(receipt => (receipt.log || []).map(log => ({
+        address: prefix(log.address),
+        topics: (log.topics || []).map(prefix),
+        data: '0x' + strip(log.data),
+        blockNumber: toQuantity(first.blockNumber),
+        blockHash: prefix(first.blockHash),
+        transactionHash: prefix(txid),
+        transactionIndex: toQuantity(first.transactionIndex),
+        logIndex: toQuantity(logIndex++),
+        removed: false
+      })));
+
+      return {
+        transactionHash: prefix(txid),
+        transactionIndex: toQuantity(first.transactionIndex),
+        blockHash: prefix(first.blockHash),
+        blockNumber: toQuantity(first.blockNumber),
+        from: prefix(first.from),
+        to: tx?.contract_address ? null : prefix(first.to),
+        cumulativeGasUsed: toQuantity(last.cumulativeGasUsed),
+        gasUsed: toQuantity(receipts.reduce((sum, r) => sum + (r.gasUsed || 0), 0)),
+        effectiveGasPrice: toQuantity(BigInt(tx?.gas_price || 0) * WEI_PER_SATOSHI),
+        contractAddress: tx?.contract_address ? prefix(tx.contract_address) : null,
+        logs,
+        logsBloom: '0x' + (first.bloom || '0'.repeat(512)),
+        status: receipts.some(r => r.excepted && r.excepted !== 'None') ? '0x0' : '0x1',
+        type: '0x0'
+      };
+    }
+
+    if (!tx) return null;
+
+    // Plain payments are stored by base58, which has no EVM form here
+    const asHex = (address) => /^[0-9a-f]{40}$/.test(address || '') ? prefix(address) : null;
+    return {
+      transactionHash: prefix(txid),
+      transactionIndex: toQuantity(tx.tx_index),
+      blockHash: prefix(tx.block_hash),
+      blockNumber: toQuantity(tx.block_height),
+      from: asHex(tx.from_address),
+      to: asHex(tx.to_address),
+      cumulativeGasUsed: '0x0',
+      gasUsed: '0x0',
+      effectiveGasPrice: '0x0',
+      contractAddress: null,
+      logs: [],
+      logsBloom: '0x' + '0'.repeat(512),
+      status: tx.status === 0 ? '0x0' : '0x1',
+      type: '0x0'
+    };
+  }
+};
+
+// One JSON-RPC request to its response object
+const handle = async (rpc, request) => {
+  const id = request?.id ?? null;
+  if (!request || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+    return { jsonrpc: '2.0', id, error: { code: -32600, message: 'Invalid request' } };
+  }
+
+  const method = methods[request.method];
+  if (!method) {
+    return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method ${request.method} is not supported` } };
+  }
+
+  try {
+    const params = Array.isArray(request.params) ? request.params : [];
+    return { jsonrpc: '2.0', id, result: await method(rpc, params) };
+  } catch (error) {
+    const code = error instanceof JsonRpcError ? error.code : -32603;
+    const response = { jsonrpc: '2.0', id, error: { code, message: error.message } };
+    if (error.data !== undefined) response.error.data = error.data;
+    return response;
+  }
+};
+
+router.post('/', async (req, res) => {
+  const rpc = req.app.locals.rpc;
+  const body = req.body;
+
+  if (Array.isArray(body)) {
+    if (body.length === 0) {
+      return res.json({ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Empty batch' } });
+    }
+    const responses = [];
+    for (const request of body) responses.push(await handle(rpc, request));
+    return res.json(responses);
+  }
+
+  res.json(await handle(rpc, body));
+});
+
+module.exports = router;
@@ -0,0 +1,326 @@
+// Live feed over WebSocket (/ws). Clients subscribe to channels and get each
+// newly indexed block's activity pushed as the indexer commits it:
+//
+//   { "op": "subscribe", "channel": "newBlock" }          block rows, and { type: 'reorg', ... }
+//   { "op": "subscribe", "channel": "newTx" }             transaction rows
+//   { "op": "subscribe", "channel": "address:<addr>" }    transactions involving it
+//   { "op": "subscribe", "channel": "token:<addr>" }      transfers of a token
+//   { "op": "subscribe", "channel": "logs", "filter": { "address": ..., "topics": [...] } }
+//
+// Each subscription gets an id, used to unsubscribe ({ "op": "unsubscribe",
+// "id": ... }) and sent along with its events: { "id", "channel", "data" }.
+//
+// Subscribing costs credits like any API request, charged to the API key
+// (X-API-Key, Authorization: Bearer or ?apikey= on the URL, since browsers
+// can't set headers on a WebSocket) or else to the IP. Each IP may hold
+// a limited number of connections.
+const { WebSocketServer, WebSocket } = require('ws');
+const { statements } = require('./db');
+const { cache } = require('./cache');
+const { requestKey, findApiKey, charge } = require('./ratelimit');
+
+const MAX_SUBSCRIPTIONS = 50;
+const MAX_CONNECTIONS_PER_IP = 10;
+// Credits per subscribe; address channels also look the address up on the node
+const SUBSCRIBE_COST = 1;
+const ADDRESS_SUBSCRIBE_COST = 2;
+const MAX_PAYLOAD = 16 * 1024;
+// Clients that stop reading are dropped rather than buffered for
+const MAX_BUFFERED = 4 * 1024 * 1024;
+const HEARTBEAT_INTERVAL = 30000;
+
+class FeedError extends Error {}
+
+// Hex (addresses, topics) is compared lowercase without 0x. Base58 addresses
+// are case sensitive and compared exactly.
+const normalize = (value) => {
+  const text = value || '';
+  return /^(0x)?[0-9a-fA-F]+$/.test(text) ? text.toLowerCase().replace(/^0x/, '') : text;
+};
+
+const hexPattern = /^(0x)?[0-9a-fA-F]{40}$/;
+const base58Pattern = /^[1-9A-HJ-NP-Za-km-z]{25,40}$/;
+
+const withDecodedArgs = (row) => row.decoded_args ? { ...row, decoded_args: JSON.parse(row.decoded_args) } : row;
+
+class LiveFeed {
+  // trustProxy: take the client's IP from X-Forwarded-For (the hop the
+  // proxy in front of us saw) instead of the socket
+  constructor(rpc, options = {}) {
+    this.rpc = rpc;
+    this.trustProxy = options.trustProxy || false;
+    this.maxConnectionsPerIp = options.maxConnectionsPerIp || MAX_CONNECTIONS_PER_IP;
+    this.connectionsPerIp = new Map();
+    this.clients = new Set();
+    this.wss = null;
+    this.heartbeat = null;
+    this.indexer = null;
+  }
+
+  // Serve WebSocket upgrades on the HTTP server
+  attach(server, path = '/ws') {
+    this.wss = new WebSocketServer({ server, path, maxPayload: MAX_PAYLOAD });
+    this.wss.on('connection', (socket, req) => this.connect(socket, req));
+
+    // Drop connections that stopped answering pings
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        if (!client.alive) {
+          client.socket.terminate();
+          continue;
+        }
+        client.alive = false;
+        client.socket.ping();
+      }
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+  }
+
+  // Publish every block the indexer commits
+  listen(indexer) {
+    this.indexer = indexer;
+    indexer.on('block', ({ height }) => {
+      try {
+        this.publishBlock(height);
+      } catch (error) {
+        console.error('Live feed error:', error.message);
+      }
+    });
+    indexer.on('reorg', reorg => this.publish(sub => sub.type === 'newBlock', () => ({ ...reorg, type: 'reorg' })));
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    for (const client of this.clients) client.socket.terminate();
+    this.wss?.close();
+  }
+
+  clientIp(req) {
+    const forwarded = this.trustProxy && req.headers['x-forwarded-for'];
+    if (forwarded) return forwarded.split(',').pop().trim();
+    return req.socket.remoteAddress;
+  }
+
+  connect(socket, req) {
+    const ip = this.clientIp(req);
+    const connections = this.connectionsPerIp.get(ip) || 0;
+    if (connections >= this.maxConnectionsPerIp) {
+      socket.close(1008, 'Too many connections');
+      return;
+    }
+    const key = requestKey(req) || new URL(req.url, 'http://localhost').searchParams.get('apikey');
+    const apiKey = findApiKey(key);
+    if (apiKey === undefined) {
+      socket.close(1008, 'Invalid API key');
+      return;
+    }
+
+    const client = { socket, ip, apiKey, subscriptions: new Map(), nextId: 1, alive: true, queue: Promise.resolve() };
+    this.clients.add(client);
+    this.connectionsPerIp.set(ip, connections + 1);
+
+    const disconnect = () => {
+      if (!this.clients.delete(client)) return;
+      const left = this.connectionsPerIp.get(ip) - 1;
+      if (left > 0) this.connectionsPerIp.set(ip, left);
+      else this.connectionsPerIp.delete(ip);
+    };
+
+    socket.on('pong', () => { client.alive = true; });
+    socket.on('close', disconnect);
+    socket.on('error', disconnect);
+    // One message at a time, so an unsubscribe can't overtake its subscribe
+    socket.on('message', (raw) => {
+      client.queue = client.queue.then(() => this.receive(client, raw));
+    });
+  }
+
+  async receive(client, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (e) {
+      return this.send(client, { op: 'error', error: 'Messages must be JSON' });
+    }
+    try {
+      this.send(client, await this.handle(client, message));
+    } catch (error) {
+      this.send(client, { op: 'error', request: message?.op, error: error.message });
+    }
+  }
+
+  async handle(client, message) {
+    switch (message?.op) {
+      case 'subscribe': {
+        if (client.subscriptions.size >= MAX_SUBSCRIPTIONS) {
+          throw new FeedError(`At most ${MAX_SUBSCRIPTIONS} subscriptions per connection`);
+        }
+        const cost = String(message.channel).startsWith('address:') ? ADDRESS_SUBSCRIBE_COST : SUBSCRIBE_COST;
+        const { error } = charge(client.apiKey, client.ip, cost);
+        if (error) throw new FeedError(error);
+        const subscription = await this.parseSubscription(message.channel, message.filter);
+        const id = String(client.nextId++);
+        client.subscriptions.set(id, subscription);
+        return { op: 'subscribed', id, channel: subscription.channel };
+      }
+      case 'unsubscribe': {
+        const ids = message.id !== undefined
+          ? [String(message.id)]
+          : [...client.subscriptions].filter(([, sub]) => sub.channel === message.channel).map(([id]) => id);
+        ids.forEach(id => client.subscriptions.delete(id));
+        return { op: 'unsubscribed', ids };
+      }
+      case 'ping':
+        return { op: 'pong' };
+      default:
+        throw new FeedError('Unknown op, expected subscribe, unsubscribe or ping');
+    }
+  }
+
+  async parseSubscription(channel, filter) {
+    if (channel === 'newBlock' || channel === 'newTx') return { type: channel, channel };
+
+    if (channel === 'logs') return { type: 'logs', channel, ...this.parseLogFilter(filter || {}) };
+
+    const [type, address] = typeof channel === 'string' ? channel.split(/:(.*)/s) : [];
+    if (type === 'address' && address) {
+      return { type, channel, addresses: await this.addressForms(address) };
+    }
+    if (type === 'token' && address) {
+      if (!hexPattern.test(address)) throw new FeedError('Token channels take a hex contract address');
+      return { type, channel, address: normalize(address) };
+    }
+    throw new FeedError(`Unknown channel ${channel}`);
+  }
+
+  // Both forms of an address (base58 and hex), since either may be stored.
+  // Script addresses have no hex form and are matched as given. The mapping
+  // never changes, so the node is asked once per address.
+  async addressForms(address) {
+    const isHex = hexPattern.test(address);
+    if (!isHex && !base58Pattern.test(address)) throw new FeedError(`Invalid address ${address}`);
+
+    const forms = new Set([normalize(address)]);
+    try {
+      const other = isHex
+        ? await cache.remember(`base58:${normalize(address)}`, 86400, () => this.rpc.fromHexAddress(normalize(address)), { tipBound: false })
+        : await cache.remember(`hex:${address}`, 86400, () => this.rpc.getHexAddress(address), { tipBound: false });
+      forms.add(normalize(other));
+    } catch (e) {}
+    return forms;
+  }
+
+  // Same shape as an eth_getLogs filter: address (one or a list) and topics,
+  // where each position is null (any), a topic or a list of alternatives
+  parseLogFilter({ address, topics = [] }) {
+    const addresses = address === undefined || address === null
+      ? null
+      : new Set((Array.isArray(address) ? address : [address]).map(a => {
+        if (!hexPattern.test(a)) throw new FeedError(`Invalid log address ${a}`);
+        return normalize(a);
+      }));
+
+    if (!Array.isArray(topics) || topics.length > 4) throw new FeedError('topics must be a list of up to 4 entries');
+    const topicSets = topics.map(topic => {
+      if (topic === null || topic === undefined) return null;
+      return new Set((Array.isArray(topic) ? topic : [topic]).map(t => normalize(String(t))));
+    });
+    return { addresses, topics: topicSets };
+  }
+
+  send(client, message) {
+    const { socket } = client;
+    if (socket.readyState !== WebSocket.OPEN) return;
+    if (socket.bufferedAmount > MAX_BUFFERED) {
+      socket.terminate();
+      return;
+    }
+    socket.send(JSON.stringify(message));
+  }
+
+  // Send makeData(subscription) to every matching subscription
+  publish(matches, makeData) {
+    for (const client of this.clients) {
+      for (const [id, subscription] of client.subscriptions) {
+        if (matches(subscription)) this.send(client, { id, channel: subscription.channel, data: makeData(subscription) });
+      }
+    }
+  }
+
+  subscriptionsOf(type) {
+    const found = [];
+    for (const client of this.clients) {
+      for (const [id, subscription] of client.subscriptions) {
+        if (subscription.type === type) found.push({ client, id, subscription });
+      }
+    }
+    return found;
+  }
+
+  publishBlock(height) {
+    if (this.clients.size === 0) return;
+    if (this.indexer && !this.indexer.isLive(height)) return;
+
+    const block = statements.getBlock.get(height);
+    if (!block) return;
+    this.publish(sub => sub.type === 'newBlock', () => block);
+
+    // Everything else is per transaction, looked up only when someone listens
+    const txSubs = this.subscriptionsOf('newTx');
+    const addressSubs = this.subscriptionsOf('address');
+    const tokenSubs = this.subscriptionsOf('token');
+    const logSubs = this.subscriptionsOf('logs');
+
+    if (txSubs.length || addressSubs.length) {
+      const txs = statements.getTxsByBlock.all(height);
+
+      for (const tx of txs) {
+        for (const { client, id, subscription } of txSubs) this.send(client, { id, channel: subscription.channel, data: tx });
+      }
+
+      if (addressSubs.length) {
+        const touched = new Map();
+        for (const { tx_hash, address } of statements.getBlockAddresses.all({ height })) {
+          const key = normalize(address);
+          if (!touched.has(key)) touched.set(key, new Set());
+          touched.get(key).add(tx_hash);
+        }
+        for (const { client, id, subscription } of addressSubs) {
+          const hashes = new Set();
+          for (const form of subscription.addresses) touched.get(form)?.forEach(hash => hashes.add(hash));
+          for (const tx of txs) {
+            if (hashes.has(tx.hash)) this.send(client, { id, channel: subscription.channel, data: tx });
+          }
+        }
+      }
+    }
+
+    if (tokenSubs.length) {
+      const transfers = [
+        ...statements.getBlockTokenTransfers.all(height).map(t => ({ ...t, standard: 'QRC-20', contract: t.token_address })),
+        ...statements.getBlockNftTransfers.all(height).map(t => ({ ...t, standard: 'QRC-721', contract: t.contract_address })),
+        ...statements.getBlockMultiTransfers.all(height).map(t => ({ ...t, standard: 'ERC-1155', contract: t.contract_address }))
+      ];
+      for (const { contract, ...transfer } of transfers) {
+        for (const { client, id, subscription } of tokenSubs) {
+          if (normalize(contract) === subscription.address) {
+            this.send(client, { id, channel: subscription.channel, data: transfer });
+          }
+        }
+      }
+    }
+
+    if (logSubs.length) {
+      for (const log of statements.getBlockLogs.all(height)) {
+        const topics = [log.topic0, log.topic1, log.topic2, log.topic3];
+        for (const { client, id, subscription } of logSubs) {
+          if (subscription.addresses && !subscription.addresses.has(normalize(log.address))) continue;
+          if (subscription.topics.some((options, i) => options && !options.has(normalize(topics[i])))) continue;
+          this.send(client, { id, channel: subscription.channel, data: withDecodedArgs(log) });
+        }
+      }
+    }
+  }
+}
+
+module.exports = LiveFeed;
@@ -1,22 +1,95 @@
-const WATTxRPC = require('./rpc');
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
 const { db, statements } = require('./db');
-
-class Indexer {
-  constructor(rpcUrl) {
-    this.rpc = new WATTxRPC(rpcUrl);
+const {
+  toSatoshis,
+  outputAddress,
+  isCoinstake,
+  parseContractScript,
+  readOutputs,
+  resolveInputs,
+  summarizePayment,
+  txFee
+} = require('./utxo');
+const { decodeLog, decodeInput } = require('./decoder');
+const { detectStandard, fetchTokenMetadata, fetchUri } = require('./nft');
+const { blockInternalTransactions, findRefunds, flattenTrace } = require('./internal');
+const { MethodNotFoundError } = require('./rpc');
+
+const TRANSFER_TOPIC = 'ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const TRANSFER_SINGLE_TOPIC = 'c3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62';
+const TRANSFER_BATCH_TOPIC = '4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb';
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+// Blocks further than this behind the node's tip are a catch-up sync, not news
+const LIVE_DISTANCE = 10;
+
+// Qtum-style receipts give topics as bare hex
+const normalizeTopics = (log) => (log.topics || []).map(t => t.replace(/^0x/, '').toLowerCase());
+
+// QRC-20 Transfer(address indexed from, address indexed to, uint256 value)
+const isTransferLog = (topics) => topics[0] === TRANSFER_TOPIC && topics.length === 3;
+
+// QRC-721 Transfer has the same signature with the token id indexed too
+const isNftTransferLog = (topics) => topics[0] === TRANSFER_TOPIC && topics.length === 4;
+
+// ERC-1155 TransferSingle(operator, from, to, id, value) and
+// TransferBatch(operator, from, to, ids[], values[]), operator/from/to indexed
+const isMultiTransferLog = (topics) =>
+  (topics[0] === TRANSFER_SINGLE_TOPIC || topics[0] === TRANSFER_BATCH_TOPIC) && topics.length === 4;
+
+// (id, value) pairs of an ERC-1155 transfer log, a batch expanded per id
+const multiTransferAmounts = (topics, data) => {
+  if (topics[0] === TRANSFER_SINGLE_TOPIC) {
+    return [[BigInt('0x' + (data.slice(0, 64) || '0')), BigInt('0x' + (data.slice(64, 128) || '0'))]];
+  }
+  const [ids, values] = ethers.AbiCoder.defaultAbiCoder().decode(['uint256[]', 'uint256[]'], '0x' + data);
+  return ids.map((id, i) => [id, values[i]]);
+};
+
+// Emits 'block' ({ height, block, inputs, receipts }) after each block is
+// committed and 'reorg' ({ ancestor, depth, oldTipHeight }) after a rollback
+class Indexer extends EventEmitter {
+  // rpc is a WATTxRPC (or RPCPool) shared with the API
+  constructor(rpc, options = {}) {
+    super();
+    this.rpc = rpc;
     this.isRunning = false;
-    this.batchSize = 10;
+    // Blocks per sync round, and how many of them are fetched concurrently
+    this.batchSize = options.batchSize || 100;
+    this.workers = options.workers || 4;
+    this.chainHeight = null;
+    this.progress = [];
+    // Seconds between token balance reconciliation passes (0 = off)
+    this.reconcileInterval = options.reconcileInterval || 0;
+    this.reconcileTimer = null;
+    // Record internal calls with debug_traceTransaction; turned off for good
+    // the first time the node says it doesn't have it
+    this.trace = options.trace ?? true;
   }
 
   async start() {
     if (this.isRunning) return;
     this.isRunning = true;
     console.log('Indexer started');
+
+    if (this.reconcileInterval > 0) {
+      this.reconcileTimer = setInterval(async () => {
+        try {
+          const { checked, mismatches } = await this.reconcileTokenBalances();
+          console.log(`Token balance reconciliation: ${checked} checked, ${mismatches} corrected`);
+        } catch (error) {
+          console.error('Token balance reconciliation error:', error.message);
+        }
+      }, this.reconcileInterval * 1000);
+    }
+
     await this.sync();
   }
 
   stop() {
     this.isRunning = false;
+    clearInterval(this.reconcileTimer);
+    this.reconcileTimer = null;
     console.log('Indexer stopped');
   }
 
@@ -32,8 +105,18 @@ class Indexer {
   async sync() {
     while (this.isRunning) {
       try {
-        const chainHeight = await this.rpc.getBlockCount();
+        // Height and hashes for the tip check come from one node, so a pool
+        // failing over between nodes can't mix up their answers
+        const tipRpc = this.rpc.pinned?.() || this.rpc;
+        const chainHeight = await tipRpc.getBlockCount();
         const lastIndexed = this.getLastIndexedBlock();
+        this.chainHeight = chainHeight;
+
+        // A reorg to a branch of equal or lower height never shows up as a
+        // new block, so make sure our tip is still on the node's chain first
+        if (lastIndexed >= 0 && await this.checkTip(lastIndexed, chainHeight, tipRpc)) {
+          continue;
+        }
 
         if (lastIndexed >= chainHeight) {
           await this.sleep(2000);
@@ -45,12 +128,9 @@ class Indexer {
 
         console.log(`Indexing blocks ${startBlock} to ${endBlock}...`);
 
-        for (let height = startBlock; height <= endBlock; height++) {
-          await this.indexBlock(height);
-        }
+        await this.syncRange(startBlock, endBlock);
 
-        this.setLastIndexedBlock(endBlock);
-        console.log(`Indexed up to block ${endBlock}`);
+        console.log(`Indexed up to block ${this.getLastIndexedBlock()}`);
 
       } catch (error) {
         console.error('Indexer error:', error.message);
@@ -59,24 +139,240 @@ class Indexer {
     }
   }
 
+  // Returns true if the stored tip was off the node's chain and got rolled back.
+  // A node behind our tip is compared at its own height: if it has the same
+  // block there it is just lagging, and sync waits for it to catch up.
+  async checkTip(lastIndexed, chainHeight, rpc = this.rpc) {
+    const height = Math.min(lastIndexed, chainHeight);
+    const stored = statements.getBlock.get(height);
+    const nodeHash = await rpc.getBlockHash(height);
+
+    if (stored && stored.hash === nodeHash) {
+      return false;
+    }
+
+    await this.handleReorg(height, rpc);
+    return true;
+  }
+
+  // Walk back from height until the stored block matches the node's
+  async findCommonAncestor(height, rpc = this.rpc) {
+    for (let h = height; h >= 0; h--) {
+      const stored = statements.getBlock.get(h);
+      if (!stored) return h;
+
+      const nodeHash = await rpc.getBlockHash(h);
+      if (stored.hash === nodeHash) return h;
+    }
+    return -1;
+  }
+
+  async handleReorg(height, rpc = this.rpc) {
+    const oldTipHeight = this.getLastIndexedBlock();
+    const oldTip = statements.getBlock.get(oldTipHeight);
+    const ancestor = await this.findCommonAncestor(height, rpc);
+    const newTipHash = await rpc.getBestBlockHash().catch(() => null);
+    const depth = oldTipHeight - ancestor;
+
+    console.warn(`Chain reorg detected: rolling back ${depth} block(s) to common ancestor ${ancestor}`);
+
+    db.transaction(() => {
+      this.rollback(ancestor);
+      statements.insertReorg.run(
+        ancestor,
+        depth,
+        oldTipHeight,
+        oldTip?.hash || null,
+        newTipHash
+      );
+    })();
+
+    this.emit('reorg', { ancestor, depth, oldTipHeight });
+  }
+
+  // Delete everything indexed above height and move the cursor back to it
+  rollback(height) {
+    db.transaction(() => {
+      // Undo token balance changes, newest first
+      for (const transfer of statements.getTransfersAbove.all(height)) {
+        this.applyTransfer(
+          transfer.token_address,
+          transfer.from_address,
+          transfer.to_address,
+          -BigInt(transfer.value),
+          transfer.timestamp
+        );
+      }
+
+      // Hand tokens back to their previous owner; those minted above height go
+      for (const transfer of statements.getNftTransfersAbove.all(height)) {
+        if (transfer.from_address === ZERO_ADDRESS) {
+          statements.deleteNftToken.run(transfer.contract_address, transfer.token_id);
+        } else {
+          statements.setNftOwner.run(
+            transfer.contract_address,
+            transfer.token_id,
+            transfer.from_address,
+            transfer.timestamp
+          );
+        }
+      }
+
+      for (const transfer of statements.getMultiTransfersAbove.all(height)) {
+        this.applyMultiTransfer(
+          transfer.contract_address,
+          transfer.token_id,
+          transfer.from_address,
+          transfer.to_address,
+          -BigInt(transfer.value),
+          transfer.block_height,
+          transfer.timestamp
+        );
+      }
+
+      statements.deleteTransfersAbove.run(height);
+      statements.deleteNftTransfersAbove.run(height);
+      statements.deleteMultiTransfersAbove.run(height);
+      statements.deleteMultiTokensAbove.run(height);
+      statements.deleteLogsAbove.run(height);
+      statements.deleteInternalTxsAbove.run(height);
+      statements.deleteInputsAbove.run(height);
+      statements.deleteOutputsAbove.run(height);
+      statements.deleteTxsAbove.run(height);
+      statements.deleteBlocksAbove.run(height);
+      this.setLastIndexedBlock(height);
+    })();
+  }
+
+  // Fetch blocks start..end with a pool of workers and commit them in height
+  // order. Up to `workers` blocks are in flight ahead of the commit cursor.
+  async syncRange(start, end) {
+    const heights = [];
+    for (let h = start; h <= end; h++) heights.push(h);
+    const hashes = await this.rpc.batch(heights.map(h => ['getblockhash', [h]]));
+
+    const queue = [];
+    let next = 0;
+    const fill = () => {
+      while (next < heights.length && queue.length < this.workers) {
+        const fetch = this.fetchBlock(heights[next], hashes[next]);
+        fetch.catch(() => {}); // Surfaces when its turn to commit comes
+        queue.push(fetch);
+        next++;
+      }
+    };
+
+    fill();
+    while (queue.length > 0 && this.isRunning) {
+      const data = await queue.shift();
+      // Blocks still in flight belong to the abandoned branch
+      if (!await this.indexFetchedBlock(data)) return;
+      fill();
+    }
+  }
+
+  // Returns false if the block does not build on our tip (a reorg was handled)
   async indexBlock(height) {
-    const block = await this.rpc.getBlock(height, 2);
+    const hash = await this.rpc.getBlockHash(height);
+    return this.indexFetchedBlock(await this.fetchBlock(height, hash));
+  }
+
+  async indexFetchedBlock(data) {
+    const parent = statements.getBlock.get(data.height - 1);
+    if (parent && data.block.previousblockhash !== parent.hash) {
+      await this.handleReorg(data.height - 1);
+      return false;
+    }
+
+    // Inputs are resolved in height order, once every earlier block is stored
+    const inputs = await this.resolveInputs(data.block);
+    this.commitBlock({ ...data, inputs });
+    this.recordProgress(data.height);
+    return true;
+  }
+
+  // Gather everything a block needs from the node before touching the database
+  async fetchBlock(height, hash) {
+    const block = await this.rpc.getBlock(hash, 2);
     if (!block) {
-      console.warn(`Block ${height} not found`);
-      return;
+      throw new Error(`Block ${height} not found`);
     }
 
+    const receipts = await this.fetchReceipts(block);
+    const tokens = await this.fetchNewTokens(receipts);
+    const uris = await this.fetchNewTokenUris(receipts);
+    const traces = await this.fetchTraces(receipts);
+
+    return { height, block, receipts, tokens, uris, traces };
+  }
+
+  // Whether a block is near the node's tip rather than part of a catch-up
+  // sync, for listeners that only care about new activity
+  isLive(height) {
+    return this.chainHeight === null || height >= this.chainHeight - LIVE_DISTANCE;
+  }
+
+  // Keep commit times of recent blocks for the blocks/sec estimate
+  recordProgress(height) {
+    this.progress.push({ height, time: Date.now() });
+    if (this.progress.length > 200) this.progress.shift();
+  }
+
+  getStatus() {
+    const lastIndexed = this.getLastIndexedBlock();
+    const first = this.progress[0];
+    const last = this.progress[this.progress.length - 1];
+
+    let blocksPerSecond = 0;
+    if (first && last && last.time > first.time) {
+      blocksPerSecond = (last.height - first.height) / ((last.time - first.time) / 1000);
+    }
+
+    const remaining = Math.max(0, (this.chainHeight ?? lastIndexed) - lastIndexed);
+    // Only count recent progress, a stale rate says nothing about now
+    const active = last && Date.now() - last.time < 30000;
+
+    return {
+      running: this.isRunning,
+      syncing: remaining > 0,
+      lastIndexedBlock: lastIndexed,
+      chainHeight: this.chainHeight ?? null,
+      remainingBlocks: remaining,
+      workers: this.workers,
+      blocksPerSecond: active ? Math.round(blocksPerSecond * 100) / 100 : 0,
+      etaSeconds: active && blocksPerSecond > 0 ? Math.round(remaining / blocksPerSecond) : null
+    };
+  }
+
+  // Write the block row, transactions, logs, token transfers and balances and
+  // move the cursor past the block in one SQLite transaction
+  commitBlock({ height, block, inputs, receipts, tokens, uris = [], traces = new Map() }) {
     // Detect PoS from block flags
     const isPos = block.flags?.includes('proof-of-stake') ? 1 : 0;
+    const { producer, reward, fees, refunds } = this.blockReward(block, inputs, receipts, isPos);
+
+    // Blocks fetched side by side may have picked up the same new token
+    const newTokens = tokens.filter(token => !statements.getToken.get(token.address));
+
+    db.transaction(() => {
+      for (const token of newTokens) {
+        statements.insertToken.run(
+          token.address,
+          token.name,
+          token.symbol,
+          token.decimals,
+          token.totalSupply,
+          null,
+          token.standard
+        );
+      }
 
-    // Insert block
-    const insertBlock = db.transaction(() => {
       statements.insertBlock.run(
         height,
         block.hash,
         block.previousblockhash || null,
         block.time,
-        block.miner || null,
+        producer,
         block.difficulty?.toString() || '0',
         '0', // gas_limit - not directly available
         '0', // gas_used
@@ -84,7 +380,9 @@ class Indexer {
         block.size || 0,
         block.nonce?.toString() || '0',
         isPos,
-        '0' // block_reward - TODO: calculate
+        reward.toString(),
+        fees.toString(),
+        refunds.toString()
       );
 
       // Index transactions
@@ -92,101 +390,255 @@ class Indexer {
         for (let i = 0; i < block.tx.length; i++) {
           const tx = block.tx[i];
           if (typeof tx === 'object') {
-            this.indexTransaction(tx, block, i);
+            this.indexTransaction(tx, block, i, inputs.get(tx.txid) || [], receipts.get(tx.txid) || []);
           }
         }
       }
-    });
 
-    insertBlock();
+      this.indexInternalTransactions(block, inputs, receipts, traces);
+
+      // The token rows exist now that the transfers are in
+      for (const { standard, address, id, uri, metadata } of uris) {
+        const json = metadata ? JSON.stringify(metadata) : null;
+        if (standard === 'QRC-721') statements.setNftMetadata.run(uri, json, address, id);
+        else statements.setMultiTokenUri.run(uri, json, address, id);
+      }
+
+      this.setLastIndexedBlock(height);
+    })();
+
+    for (const token of newTokens) {
+      console.log(`Detected token: ${token.name} (${token.symbol}) at ${token.address}`);
+    }
+
+    this.emit('block', { height, block, inputs, receipts });
   }
 
-  indexTransaction(tx, block, txIndex) {
-    // Extract from/to addresses from vin/vout
-    let fromAddress = null;
-    let toAddress = null;
-    let value = '0';
+  // Work out who produced the block and what it earned (subsidy + fees).
+  // PoW blocks pay the miner in the coinbase; PoS blocks pay the staker in the
+  // coinstake, which spends the staker's own coins. Both also carry the gas
+  // refunds of contract calls, which go back to the callers and are neither
+  // reward nor fee.
+  blockReward(block, inputs, receipts, isPos) {
+    const txs = (block.tx || []).filter(tx => typeof tx === 'object');
+    const coinbase = txs[0];
+    const coinstake = isPos && txs[1] && isCoinstake(txs[1]) ? txs[1] : null;
+    const sumOutputs = (tx) => (tx.vout || []).reduce((sum, o) => sum + toSatoshis(o.value), 0);
+    const inputValues = (tx) => (inputs.get(tx.txid) || []).map(input => input.value);
+
+    let reward = coinbase ? sumOutputs(coinbase) : 0;
+    let producer = null;
+
+    if (coinstake) {
+      const staked = inputValues(coinstake).reduce((sum, v) => sum + v, 0);
+      reward += sumOutputs(coinstake) - staked;
+
+      // The staker owns the spent coins; fall back to the first paid output
+      producer = (inputs.get(coinstake.txid) || []).find(input => input.address)?.address
+        || (coinstake.vout || []).map(outputAddress).find(Boolean)
+        || null;
+    } else if (coinbase) {
+      const paid = (coinbase.vout || []).find(o => toSatoshis(o.value) > 0 && outputAddress(o));
+      producer = paid ? outputAddress(paid) : null;
+    }
 
-    // Get sender from first vin if available
-    if (tx.vin && tx.vin[0]) {
-      const vin = tx.vin[0];
-      if (vin.scriptSig?.asm) {
-        // Extract address from scriptSig if possible
-      }
+    const refunds = findRefunds(txs, inputs, receipts).reduce((sum, refund) => sum + Number(refund.value), 0);
+
+    const fees = txs
+      .filter(tx => tx !== coinbase && tx !== coinstake)
+      .reduce((sum, tx) => sum + txFee(tx, inputValues(tx)), 0);
+
+    return { producer, reward: reward - refunds, fees: fees - refunds, refunds };
+  }
+
+  // Look up the address and amount of every output spent in the block
+  async resolveInputs(block) {
+    return resolveInputs(this.rpc, (block.tx || []).filter(tx => typeof tx === 'object'));
+  }
+
+  // Receipts for every transaction in the block that calls or creates a contract
+  async fetchReceipts(block) {
+    const receipts = new Map();
+    const txids = (block.tx || [])
+      .filter(tx => typeof tx === 'object')
+      .filter(tx => (tx.vout || []).some(vout => parseContractScript(vout.scriptPubKey)))
+      .map(tx => tx.txid);
+
+    if (txids.length === 0) return receipts;
+
+    let results;
+    try {
+      results = await this.rpc.batch(txids.map(txid => ['gettransactionreceipt', [txid]]));
+    } catch (e) {
+      // One bad receipt fails the whole batch, fetch them one by one instead
+      results = await Promise.all(txids.map(txid =>
+        this.rpc.getTransactionReceipt(txid).catch(err => {
+          console.warn(`Receipt not available for ${txid}: ${err.message}`);
+          return null;
+        })
+      ));
     }
 
-    // Get primary recipient from vout
-    if (tx.vout && tx.vout[0]) {
-      const vout = tx.vout[0];
-      if (vout.scriptPubKey?.address) {
-        toAddress = vout.scriptPubKey.address;
-      } else if (vout.scriptPubKey?.addresses && vout.scriptPubKey.addresses[0]) {
-        toAddress = vout.scriptPubKey.addresses[0];
+    txids.forEach((txid, i) => {
+      if (Array.isArray(results[i])) receipts.set(txid, results[i]);
+    });
+    return receipts;
+  }
+
+  // Call trees of the contract transactions, while the node supports tracing
+  async fetchTraces(receipts) {
+    const traces = new Map();
+    for (const [txid, txReceipts] of receipts) {
+      if (!this.trace) break;
+      // Nothing ran (e.g. condensing transactions)
+      if (txReceipts.length === 0) continue;
+      try {
+        traces.set(txid, await this.rpc.traceTransaction(txid));
+      } catch (e) {
+        if (e instanceof MethodNotFoundError) {
+          // Blocks fetched side by side can all find out at once
+          if (this.trace) console.log('Node has no debug_traceTransaction, internal calls will not be traced');
+          this.trace = false;
+        } else {
+          console.warn(`Trace not available for ${txid}: ${e.message}`);
+        }
       }
-      value = Math.round((vout.value || 0) * 1e8).toString();
+    }
+    return traces;
+  }
+
+  // Condensing payments and gas refunds of the block, and traced calls
+  indexInternalTransactions(block, inputs, receipts, traces) {
+    const txs = (block.tx || []).filter(tx => typeof tx === 'object');
+
+    for (const row of blockInternalTransactions(txs, inputs, receipts)) {
+      statements.insertInternalTx.run(
+        row.txid,
+        row.sourceTx,
+        row.sourceIndex,
+        row.type,
+        null,
+        row.from,
+        row.to,
+        row.value.toString(),
+        null,
+        null,
+        null,
+        block.height,
+        block.time
+      );
     }
 
-    // Check for contract creation/call
-    let contractAddress = null;
-    let inputData = '0x';
-
-    for (const vout of (tx.vout || [])) {
-      if (vout.scriptPubKey?.type === 'create') {
-        // Contract creation
-        contractAddress = vout.scriptPubKey.address || null;
-      } else if (vout.scriptPubKey?.type === 'call') {
-        // Contract call
-        inputData = vout.scriptPubKey.hex || '0x';
+    for (const [txid, trace] of traces) {
+      for (const call of flattenTrace(trace)) {
+        statements.insertInternalTx.run(
+          txid,
+          null,
+          null,
+          call.type,
+          call.traceAddress,
+          call.from,
+          call.to,
+          call.value.toString(),
+          call.gasUsed,
+          call.input,
+          call.error,
+          block.height,
+          block.time
+        );
       }
     }
+  }
+
+  indexTransaction(tx, block, txIndex, inputs, receipts) {
+    inputs.forEach((input, i) => {
+      statements.insertInput.run(
+        tx.txid,
+        i,
+        input.prevTxHash || null,
+        input.coinbase ? null : input.prevIndex,
+        input.address,
+        input.value.toString(),
+        input.coinbase ? 1 : 0,
+        block.height
+      );
+    });
+
+    const outputs = readOutputs(tx);
+
+    (tx.vout || []).forEach((vout, i) => {
+      statements.insertOutput.run(
+        tx.txid,
+        vout.n ?? i,
+        outputs[i].address,
+        outputs[i].value.toString(),
+        vout.scriptPubKey?.type || null,
+        block.height
+      );
+    });
+
+    const { fromAddress, toAddress, value } = summarizePayment(inputs, outputs);
+
+    // Gas comes from the OP_CALL/OP_CREATE scripts, usage and outcome from receipts
+    const contractOutputs = outputs.filter(o => o.contract);
+    const gasLimit = contractOutputs.reduce((sum, o) => sum + o.contract.gasLimit, 0n);
+    const gasPrice = contractOutputs[0]?.contract.gasPrice || 0n;
+    const gasUsed = receipts.reduce((sum, r) => sum + (r.gasUsed || 0), 0);
+    const failed = receipts.some(r => r.excepted && r.excepted !== 'None');
+
+    const inputData = contractOutputs[0] ? '0x' + contractOutputs[0].contract.data : '0x';
+    // Call data is readable if the called contract is verified
+    const call = contractOutputs.find(o => o.contract.type === 'call');
+    const decodedInput = call ? decodeInput(call.contract.contract, call.contract.data) : null;
+    const contractAddress = contractOutputs.some(o => o.contract.type === 'create')
+      ? receipts.find(r => r.contractAddress)?.contractAddress || null
+      : null;
+
+    const fee = txFee(tx, inputs.map(input => input.value));
 
     statements.insertTx.run(
       tx.txid,
       block.height,
       block.hash,
       txIndex,
-      fromAddress?.toLowerCase() || null,
-      toAddress?.toLowerCase() || null,
-      value,
-      '0', // gas
-      '0', // gas_price
-      '0', // gas_used
-      0,   // nonce
+      fromAddress,
+      toAddress,
+      value.toString(),
+      gasLimit.toString(),
+      gasPrice.toString(),
+      gasUsed.toString(),
+      0,   // nonce - UTXO transactions have none
       inputData,
-      1,   // status (assume success)
+      failed ? 0 : 1,
       contractAddress?.toLowerCase() || null,
+      fee.toString(),
+      decodedInput?.name || null,
+      decodedInput ? JSON.stringify(decodedInput) : null,
       block.time
     );
 
-    // Index contract events if receipt available
-    this.indexReceipt(tx.txid, block);
-  }
+    // Confirmed now, no longer pending
+    statements.deleteMempoolAddresses.run(tx.txid);
+    statements.deleteMempoolTx.run(tx.txid);
 
-  async indexReceipt(txid, block) {
-    try {
-      const receipts = await this.rpc.getTransactionReceipt(txid);
-      if (!receipts || !Array.isArray(receipts)) return;
-
-      for (const receipt of receipts) {
-        if (receipt.log && Array.isArray(receipt.log)) {
-          for (let i = 0; i < receipt.log.length; i++) {
-            const log = receipt.log[i];
-            await this.indexLog(txid, log, block, i);
-          }
-        }
+    // Index contract events
+    this.indexReceipts(tx.txid, block, receipts);
+  }
 
-        // Detect token transfers
-        if (receipt.contractAddress) {
-          await this.detectToken(receipt.contractAddress);
-        }
+  indexReceipts(txid, block, receipts) {
+    // Log indexes run across all receipts of the transaction
+    let logIndex = 0;
+    for (const receipt of receipts) {
+      for (const log of (receipt.log || [])) {
+        this.indexLog(txid, log, block, logIndex++);
       }
-    } catch (e) {
-      // Receipt not available for this tx type
     }
   }
 
-  async indexLog(txid, log, block, logIndex) {
-    const topics = log.topics || [];
+  indexLog(txid, log, block, logIndex) {
+    const topics = normalizeTopics(log);
+    const data = (log.data || '').replace(/^0x/, '');
+    const decoded = decodeLog(log.address?.toLowerCase(), topics, data);
 
     statements.insertLog.run(
       txid,
@@ -199,19 +651,15 @@ class Indexer {
       log.data || '0x',
       block.height,
       block.time,
-      null, // decoded_name
-      null  // decoded_args
+      decoded?.name || null,
+      decoded ? JSON.stringify(decoded.args) : null
     );
 
-    // Check for Transfer event (ERC-20/QRC-20)
-    const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
-    if (topics[0] === TRANSFER_TOPIC && topics.length >= 3) {
+    if (isTransferLog(topics)) {
       const tokenAddress = log.address.toLowerCase();
-      const from = '0x' + topics[1].slice(-40).toLowerCase();
-      const to = '0x' + topics[2].slice(-40).toLowerCase();
-      const value = log.data;
-
-      await this.detectToken(tokenAddress);
+      const from = '0x' + topics[1].slice(-40);
+      const to = '0x' + topics[2].slice(-40);
+      const value = BigInt('0x' + (data.slice(0, 64) || '0'));
 
       statements.insertTransfer.run(
         txid,
@@ -219,39 +667,214 @@ class Indexer {
         tokenAddress,
         from,
         to,
-        value,
+        value.toString(),
+        block.height,
+        block.time
+      );
+
+      this.applyTransfer(tokenAddress, from, to, value, block.time);
+    } else if (isNftTransferLog(topics)) {
+      const contractAddress = log.address.toLowerCase();
+      const from = '0x' + topics[1].slice(-40);
+      const to = '0x' + topics[2].slice(-40);
+      const tokenId = BigInt('0x' + topics[3]).toString();
+
+      statements.insertNftTransfer.run(
+        txid,
+        logIndex,
+        contractAddress,
+        tokenId,
+        from,
+        to,
         block.height,
         block.time
       );
+
+      // Burned tokens keep their row, owned by the zero address
+      statements.setNftOwner.run(contractAddress, tokenId, to, block.time);
+    } else if (isMultiTransferLog(topics)) {
+      const contractAddress = log.address.toLowerCase();
+      const operator = '0x' + topics[1].slice(-40);
+      const from = '0x' + topics[2].slice(-40);
+      const to = '0x' + topics[3].slice(-40);
+
+      let amounts;
+      try {
+        amounts = multiTransferAmounts(topics, data);
+      } catch (e) {
+        console.warn(`Malformed ERC-1155 transfer in ${txid}: ${e.message}`);
+        return;
+      }
+
+      amounts.forEach(([id, value], batchIndex) => {
+        statements.insertMultiTransfer.run(
+          txid,
+          logIndex,
+          batchIndex,
+          contractAddress,
+          id.toString(),
+          operator,
+          from,
+          to,
+          value.toString(),
+          block.height,
+          block.time
+        );
+        this.applyMultiTransfer(contractAddress, id.toString(), from, to, value, block.height, block.time);
+      });
     }
   }
 
-  async detectToken(address) {
-    const existing = statements.getToken.get(address.toLowerCase());
-    if (existing) return existing;
+  // Debit the sender and credit the recipient; mints and burns only touch one side
+  applyTransfer(tokenAddress, from, to, value, timestamp) {
+    if (from !== ZERO_ADDRESS) this.adjustTokenBalance(from, tokenAddress, -value, timestamp);
+    if (to !== ZERO_ADDRESS) this.adjustTokenBalance(to, tokenAddress, value, timestamp);
+  }
 
-    try {
-      const [name, symbol, decimals, totalSupply] = await Promise.all([
-        this.rpc.getTokenName(address).catch(() => 'Unknown'),
-        this.rpc.getTokenSymbol(address).catch(() => '???'),
-        this.rpc.getTokenDecimals(address).catch(() => 18),
-        this.rpc.getTokenTotalSupply(address).catch(() => '0')
-      ]);
-
-      statements.insertToken.run(
-        address.toLowerCase(),
-        name,
-        symbol,
-        Number(decimals),
-        totalSupply.toString(),
-        null
-      );
+  // Same for an ERC-1155 id, where mints and burns also move its supply
+  applyMultiTransfer(contractAddress, tokenId, from, to, value, height, timestamp) {
+    let minted = 0n;
+    if (from === ZERO_ADDRESS) minted += value;
+    else this.adjustMultiBalance(contractAddress, tokenId, from, -value, timestamp);
+    if (to === ZERO_ADDRESS) minted -= value;
+    else this.adjustMultiBalance(contractAddress, tokenId, to, value, timestamp);
+
+    const row = statements.getMultiToken.get(contractAddress, tokenId);
+    const supply = BigInt(row?.supply || '0') + minted;
+    statements.setMultiTokenSupply.run(contractAddress, tokenId, supply.toString(), height, timestamp);
+  }
 
-      console.log(`Detected token: ${name} (${symbol}) at ${address}`);
-      return { address, name, symbol, decimals, totalSupply };
-    } catch (e) {
-      return null;
+  adjustMultiBalance(contractAddress, tokenId, holder, delta, timestamp) {
+    const row = statements.getMultiBalance.get(contractAddress, tokenId, holder);
+    const balance = BigInt(row?.balance || '0') + delta;
+    statements.updateMultiBalance.run(contractAddress, tokenId, holder, balance.toString(), timestamp);
+  }
+
+  adjustTokenBalance(holder, tokenAddress, delta, timestamp) {
+    const row = statements.getTokenBalance.get(holder, tokenAddress);
+    const balance = BigInt(row?.balance || '0') + delta;
+    statements.updateTokenBalance.run(holder, tokenAddress, balance.toString(), timestamp);
+  }
+
+  // Check indexed balances against qrc20balanceof and correct any drift.
+  // Skips a holder if a block was indexed while its balance was being fetched.
+  async reconcileTokenBalances(tokenAddress = null) {
+    const rows = tokenAddress
+      ? statements.getTokenHolderBalances.all(tokenAddress.toLowerCase())
+      : statements.getAllTokenBalances.all();
+    let mismatches = 0;
+
+    for (const row of rows) {
+      try {
+        const tip = this.getLastIndexedBlock();
+        const holder = await this.rpc.fromHexAddress(row.address.replace(/^0x/, ''));
+        const reported = await this.rpc.getTokenBalance(row.token_address, holder);
+        if (this.getLastIndexedBlock() !== tip) continue;
+
+        // qrc20balanceof formats the balance with the token's decimals
+        const onChain = ethers.parseUnits(String(reported), row.decimals ?? 0);
+        const current = statements.getTokenBalance.get(row.address, row.token_address);
+        if (BigInt(current?.balance || '0') === onChain) continue;
+
+        mismatches++;
+        console.warn(`Token balance mismatch for ${row.address} on ${row.token_address}: indexed ${current?.balance}, node ${onChain}`);
+        statements.updateTokenBalance.run(
+          row.address,
+          row.token_address,
+          onChain.toString(),
+          Math.floor(Date.now() / 1000)
+        );
+      } catch (e) {
+        console.warn(`Could not reconcile ${row.address} on ${row.token_address}: ${e.message}`);
+      }
     }
+
+    return { checked: rows.length, mismatches };
+  }
+
+  // Metadata for tokens seen in these receipts that are not indexed yet.
+  // New tokens are picked up by their first Transfer (usually the mint).
+  async fetchNewTokens(receipts) {
+    const addresses = new Set();
+    for (const txReceipts of receipts.values()) {
+      for (const receipt of txReceipts) {
+        for (const log of (receipt.log || [])) {
+          const topics = normalizeTopics(log);
+          if (isTransferLog(topics) || isNftTransferLog(topics) || isMultiTransferLog(topics)) {
+            addresses.add(log.address.toLowerCase());
+          }
+        }
+      }
+    }
+
+    const tokens = [];
+    for (const address of addresses) {
+      if (statements.getToken.get(address)) continue;
+      tokens.push(await this.fetchTokenInfo(address));
+    }
+    return tokens;
+  }
+
+  // tokenURI / uri(id) of QRC-721 and ERC-1155 ids seen in these receipts
+  // for the first time, read as the ids get indexed so the token pages
+  // don't have to call the contract. Ids whose URI can't be read are left out.
+  async fetchNewTokenUris(receipts) {
+    const ids = new Map();
+    for (const txReceipts of receipts.values()) {
+      for (const receipt of txReceipts) {
+        for (const log of (receipt.log || [])) {
+          const topics = normalizeTopics(log);
+          const address = log.address.toLowerCase();
+          if (isNftTransferLog(topics)) {
+            const id = BigInt('0x' + topics[3]).toString();
+            if (!statements.getNftToken.get(address, id)) ids.set(`${address}:${id}`, { standard: 'QRC-721', address, id });
+          } else if (isMultiTransferLog(topics)) {
+            let amounts;
+            try {
+              amounts = multiTransferAmounts(topics, (log.data || '').replace(/^0x/, ''));
+            } catch (e) {
+              continue;
+            }
+            for (const [value] of amounts) {
+              const id = value.toString();
+              if (!statements.getMultiToken.get(address, id)) ids.set(`${address}:${id}`, { standard: 'ERC-1155', address, id });
+            }
+          }
+        }
+      }
+    }
+
+    const uris = [];
+    for (const token of ids.values()) {
+      if (token.standard === 'QRC-721') {
+        const { tokenUri, metadata } = await fetchTokenMetadata(this.rpc, token.address, token.id);
+        if (tokenUri !== null) uris.push({ ...token, uri: tokenUri, metadata });
+      } else {
+        const { uri, metadata } = await fetchUri(this.rpc, token.address, token.id);
+        if (uri !== null) uris.push({ ...token, uri, metadata });
+      }
+    }
+    return uris;
+  }
+
+  async fetchTokenInfo(address) {
+    const [name, symbol, decimals, totalSupply, standard] = await Promise.all([
+      this.rpc.getTokenName(address).catch(() => 'Unknown'),
+      this.rpc.getTokenSymbol(address).catch(() => '???'),
+      this.rpc.getTokenDecimals(address).catch(() => 18),
+      this.rpc.getTokenTotalSupply(address).catch(() => '0'),
+      detectStandard(this.rpc, address)
+    ]);
+
+    return {
+      address,
+      name,
+      symbol,
+      // NFT and multi-token amounts are whole units
+      decimals: standard === 'QRC-20' ? Number(decimals) : 0,
+      totalSupply: totalSupply.toString(),
+      standard
+    };
   }
 
   sleep(ms) {
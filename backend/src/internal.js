@@ -0,0 +1,135 @@
+// Internal transactions: coins moved by contract execution, which WATTx pays
+// out in separate transactions, and calls made by contracts where the node
+// can trace them. Each is tied back to the contract call that caused it.
+const { isCoinbase, isCoinstake, isCondensing, readOutputs } = require('./utxo');
+
+const hasContractCall = (tx) => readOutputs(tx).some(o => o.contract?.type === 'call');
+
+// Receipt of each contract output, by its outputIndex where the node gives one
+const receiptFor = (receipts, outputIndex, position) =>
+  receipts.find(r => r.outputIndex === outputIndex) || (receipts[0]?.outputIndex === undefined ? receipts[position] : null);
+
+// Coins a condensing tx moved, as the net change per owner: everyone who
+// ends up with more than they put in was paid by the owners who ended up with
+// less. With a single payer it is the sender of every payment.
+const condensingTransfers = (tx, inputs) => {
+  const outputs = readOutputs(tx);
+  const net = new Map();
+  const firstOutput = new Map();
+  const add = (address, value) => net.set(address, (net.get(address) || 0) + value);
+
+  inputs.forEach(input => input.address && add(input.address, -input.value));
+  outputs.forEach((output, i) => {
+    if (!output.address) return;
+    add(output.address, output.value);
+    if (!firstOutput.has(output.address)) firstOutput.set(output.address, tx.vout[i].n ?? i);
+  });
+
+  const payers = [...net].filter(([, value]) => value < 0).map(([address]) => address);
+  return [...net]
+    .filter(([, value]) => value > 0)
+    .map(([address, value]) => ({
+      type: 'transfer',
+      sourceIndex: firstOutput.get(address),
+      from: payers.length === 1 ? payers[0] : null,
+      to: address,
+      value
+    }));
+};
+
+// Unused gas is refunded in the coinbase (or coinstake) to the sender of the
+// call: (gasLimit - gasUsed) * gasPrice per contract output. Refund outputs
+// are matched by recipient and amount, in block order.
+const findRefunds = (txs, inputs, receipts) => {
+  const rewardTxs = txs.filter(tx => isCoinbase(tx) || isCoinstake(tx));
+  const candidates = rewardTxs.flatMap(tx => readOutputs(tx).map((output, i) => ({
+    ...output,
+    txid: tx.txid,
+    index: tx.vout[i].n ?? i,
+    used: false
+  })));
+
+  const refunds = [];
+  for (const tx of txs) {
+    const txReceipts = receipts.get(tx.txid) || [];
+    const sender = (inputs.get(tx.txid) || []).find(input => input.address)?.address;
+    if (!sender || txReceipts.length === 0) continue;
+
+    let position = 0;
+    readOutputs(tx).forEach((output, i) => {
+      if (!output.contract) return;
+      const receipt = receiptFor(txReceipts, tx.vout[i].n ?? i, position++);
+      if (!receipt) return;
+
+      const refund = (output.contract.gasLimit - BigInt(receipt.gasUsed || 0)) * output.contract.gasPrice;
+      if (refund <= 0n) return;
+
+      const match = candidates.find(c => !c.used && c.address === sender && BigInt(c.value) === refund);
+      if (!match) return;
+      match.used = true;
+      refunds.push({
+        txid: tx.txid,
+        type: 'refund',
+        sourceTx: match.txid,
+        sourceIndex: match.index,
+        from: null,
+        to: sender,
+        value: refund
+      });
+    });
+  }
+  return refunds;
+};
+
+// Internal transactions of a block: condensing payments tied to the contract
+// call just before them, and gas refunds
+const blockInternalTransactions = (txs, inputs, receipts) => {
+  const rows = findRefunds(txs, inputs, receipts);
+
+  let lastCall = null;
+  for (const tx of txs) {
+    if (isCondensing(tx)) {
+      // The node puts each condensing tx right after the call it settles
+      if (!lastCall) continue;
+      for (const transfer of condensingTransfers(tx, inputs.get(tx.txid) || [])) {
+        rows.push({ txid: lastCall, sourceTx: tx.txid, ...transfer });
+      }
+    } else if (hasContractCall(tx)) {
+      lastCall = tx.txid;
+    }
+  }
+  return rows;
+};
+
+const stripHex = (value) => (value || '').replace(/^0x/i, '').toLowerCase();
+
+// Flatten a callTracer result into its nested calls, depth first. The root is
+// the transaction itself and is left out; traceAddress is the path to a call.
+const flattenTrace = (trace) => {
+  const rows = [];
+  const walk = (call, path) => {
+    (call.calls || []).forEach((child, i) => {
+      const traceAddress = [...path, i];
+      rows.push({
+        type: (child.type || 'call').toLowerCase(),
+        traceAddress: traceAddress.join('.'),
+        from: stripHex(child.from) || null,
+        to: stripHex(child.to) || null,
+        value: BigInt(child.value || 0),
+        gasUsed: child.gasUsed !== undefined ? BigInt(child.gasUsed).toString() : null,
+        input: child.input || null,
+        error: child.error || null
+      });
+      walk(child, traceAddress);
+    });
+  };
+  if (trace) walk(trace, []);
+  return rows;
+};
+
+module.exports = {
+  condensingTransfers,
+  findRefunds,
+  blockInternalTransactions,
+  flattenTrace
+};
@@ -0,0 +1,131 @@
+const { db, statements } = require('./db');
+const { toSatoshis, readOutputs, resolveInputs, summarizePayment, txFee } = require('./utxo');
+
+// Polls the node's mempool and keeps mempool_txs in step with it. Entries are
+// evicted when they leave the mempool (the indexer also drops them as soon as
+// their block is committed).
+class MempoolWatcher {
+  constructor(rpc, options = {}) {
+    this.rpc = rpc;
+    this.isRunning = false;
+    this.pollInterval = options.pollInterval || 5000;
+    // Cap on new transactions fetched per poll, so a flood can't stall it
+    this.maxPerPoll = options.maxPerPoll || 500;
+  }
+
+  async start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    console.log('Mempool watcher started');
+
+    while (this.isRunning) {
+      try {
+        await this.poll();
+      } catch (error) {
+        console.error('Mempool watcher error:', error.message);
+      }
+      await this.sleep(this.pollInterval);
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+    console.log('Mempool watcher stopped');
+  }
+
+  async poll() {
+    const txids = new Set(await this.rpc.getRawMempool());
+    const known = new Set(statements.getMempoolHashes.all().map(row => row.hash));
+
+    // Mined or dropped since the last poll
+    const gone = [...known].filter(hash => !txids.has(hash));
+    db.transaction(() => {
+      for (const hash of gone) this.evict(hash);
+    })();
+
+    const added = [...txids].filter(hash => !known.has(hash)).slice(0, this.maxPerPoll);
+    if (added.length === 0) return;
+
+    const [entries, txs] = await Promise.all([
+      this.fetchEach(added.map(txid => ['getmempoolentry', [txid]])),
+      this.fetchEach(added.map(txid => ['getrawtransaction', [txid, true]]))
+    ]);
+
+    // Anything that left the mempool between the two calls comes back null
+    const pending = added
+      .map((hash, i) => ({ hash, entry: entries[i], tx: txs[i] }))
+      .filter(p => p.entry && p.tx);
+
+    const inputs = await resolveInputs(this.rpc, pending.map(p => p.tx));
+
+    db.transaction(() => {
+      for (const { hash, entry, tx } of pending) {
+        // A block may have been committed while we were fetching
+        if (statements.getTx.get(hash)) continue;
+        this.store(hash, entry, tx, inputs.get(hash) || []);
+      }
+    })();
+  }
+
+  // Batch the calls, falling back to one by one (null for failures) if any fail
+  async fetchEach(calls) {
+    try {
+      return await this.rpc.batch(calls);
+    } catch (e) {
+      return Promise.all(calls.map(([method, params]) =>
+        this.rpc.call(method, params).catch(() => null)
+      ));
+    }
+  }
+
+  store(hash, entry, tx, inputs) {
+    const outputs = readOutputs(tx);
+    const { fromAddress, toAddress, value } = summarizePayment(inputs, outputs);
+
+    // Prefer the node's own fee figure, it knows every input
+    const nodeFee = entry.fees?.base ?? entry.fee;
+    const fee = nodeFee !== undefined
+      ? toSatoshis(nodeFee)
+      : txFee(tx, inputs.map(input => input.value));
+    const size = entry.vsize || entry.size || tx.vsize || tx.size || 0;
+
+    statements.insertMempoolTx.run(
+      hash,
+      fromAddress,
+      toAddress,
+      value.toString(),
+      fee.toString(),
+      size,
+      size > 0 ? Math.round(fee / size * 1000) / 1000 : 0, // sat/vB
+      entry.time || Math.floor(Date.now() / 1000)
+    );
+
+    // Net flow per address, so address pages can show pending sends/receives
+    const flows = new Map();
+    const flow = (address) => {
+      if (!flows.has(address)) flows.set(address, { sent: 0, received: 0 });
+      return flows.get(address);
+    };
+    for (const input of inputs) {
+      if (input.address) flow(input.address).sent += input.value;
+    }
+    for (const output of outputs) {
+      if (output.address) flow(output.address).received += output.value;
+    }
+
+    for (const [address, { sent, received }] of flows) {
+      statements.insertMempoolAddress.run(hash, address, sent.toString(), received.toString());
+    }
+  }
+
+  evict(hash) {
+    statements.deleteMempoolAddresses.run(hash);
+    statements.deleteMempoolTx.run(hash);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = MempoolWatcher;
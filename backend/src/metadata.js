@@ -0,0 +1,292 @@
+// Solidity metadata: the CBOR trailer solc appends to runtime bytecode, and
+// verification from a metadata.json whose hash that trailer commits to
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { VerificationError, splitMetadata, verifyContract } = require('./verifier');
+
+// Just enough CBOR for the metadata map: unsigned ints, byte and text
+// strings, maps and true/false
+const decodeCbor = (bytes) => {
+  let pos = 0;
+
+  const readLength = (info) => {
+    if (info < 24) return info;
+    const size = { 24: 1, 25: 2, 26: 4 }[info];
+    if (!size) throw new Error(`Unsupported CBOR length ${info}`);
+    let value = 0;
+    for (let i = 0; i < size; i++) value = value * 256 + bytes[pos++];
+    return value;
+  };
+
+  const readItem = () => {
+    if (pos >= bytes.length) throw new Error('Truncated CBOR');
+    const initial = bytes[pos++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case 0:
+        return readLength(info);
+      case 2:
+      case 3: {
+        const length = readLength(info);
+        const chunk = bytes.slice(pos, pos + length);
+        pos += length;
+        return major === 2 ? chunk : Buffer.from(chunk).toString('utf8');
+      }
+      case 5: {
+        const map = {};
+        const entries = readLength(info);
+        for (let i = 0; i < entries; i++) {
+          const key = readItem();
+          map[key] = readItem();
+        }
+        return map;
+      }
+      case 7:
+        if (info === 20) return false;
+        if (info === 21) return true;
+    }
+    throw new Error(`Unsupported CBOR item 0x${initial.toString(16)}`);
+  };
+
+  const value = readItem();
+  if (pos !== bytes.length) throw new Error('Trailing bytes after CBOR');
+  return value;
+};
+
+// Decode the trailer of runtime code (hex): the source hash (ipfs CID or
+// swarm hash) and solc version. Null when there is no readable trailer.
+const decodeMetadata = (code) => {
+  const { metadata } = splitMetadata((code || '').replace(/^0x/i, '').toLowerCase());
+  if (!metadata) return null;
+
+  let map;
+  try {
+    // The trailer ends with its own 2-byte length
+    map = decodeCbor(Buffer.from(metadata.slice(0, -4), 'hex'));
+  } catch (e) {
+    return null;
+  }
+
+  const decoded = { raw: metadata };
+  if (map.ipfs) decoded.ipfs = ethers.encodeBase58(map.ipfs);
+  if (map.bzzr0) decoded.bzzr0 = Buffer.from(map.bzzr0).toString('hex');
+  if (map.bzzr1) decoded.bzzr1 = Buffer.from(map.bzzr1).toString('hex');
+  // Releases store the version as 3 bytes, prereleases as a string
+  if (map.solc) decoded.solc = typeof map.solc === 'string' ? map.solc : Array.from(map.solc).join('.');
+  if (map.experimental) decoded.experimental = true;
+  return decoded;
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+const keccak = (data) => Buffer.from(ethers.getBytes(ethers.keccak256(data)));
+
+const varint = (n) => {
+  const out = [];
+  while (n >= 0x80) {
+    out.push((n & 0x7f) | 0x80);
+    n = Math.floor(n / 128);
+  }
+  out.push(n);
+  return Buffer.from(out);
+};
+
+// Length-delimited protobuf field
+const field = (tag, bytes) => Buffer.concat([Buffer.from([tag]), varint(bytes.length), bytes]);
+const multihash = (block) => Buffer.concat([Buffer.from([0x12, 0x20]), sha256(block)]);
+
+// Parent node linking up to 174 children (a balanced DAG layer)
+const ipfsLinkNode = (links) => {
+  const size = links.reduce((sum, link) => sum + link.size, 0);
+  const unixfs = Buffer.concat([
+    Buffer.from([0x08, 0x02, 0x18]), varint(size),
+    ...links.map(link => Buffer.concat([Buffer.from([0x20]), varint(link.size)]))
+  ]);
+  const block = Buffer.concat([
+    // PBNode.Links: { Hash, Name: '', Tsize }
+    ...links.map(link => field(0x12, Buffer.concat([
+      field(0x0a, link.hash),
+      Buffer.from([0x12, 0x00, 0x18]), varint(link.blockSize)
+    ]))),
+    field(0x0a, unixfs)
+  ]);
+  return {
+    hash: multihash(block),
+    size,
+    blockSize: links.reduce((sum, link) => sum + link.blockSize, 0) + block.length
+  };
+};
+
+// CIDv0 of a file added to IPFS with default settings (256 KiB chunks,
+// balanced DAG), as in solidity's IPFSHash.cpp
+const ipfsHash = (data) => {
+  const chunkSize = 256 * 1024;
+  let level = [];
+  for (let i = 0; i === 0 || i < data.length; i += chunkSize) {
+    const chunk = data.subarray(i, i + chunkSize);
+    // unixfs.Data { Type: File, Data, filesize } inside PBNode.Data
+    const unixfs = Buffer.concat([
+      Buffer.from([0x08, 0x02]),
+      chunk.length > 0 ? field(0x12, chunk) : Buffer.alloc(0),
+      Buffer.from([0x18]), varint(chunk.length)
+    ]);
+    const block = field(0x0a, unixfs);
+    level.push({ hash: multihash(block), size: chunk.length, blockSize: block.length });
+  }
+
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 174) next.push(ipfsLinkNode(level.slice(i, i + 174)));
+    level = next;
+  }
+  return ethers.encodeBase58(level[0].hash);
+};
+
+// Sizes are prefixed as 8 little-endian bytes
+const littleEndian64 = (n) => {
+  const out = Buffer.alloc(8);
+  out.writeBigUInt64LE(BigInt(n));
+  return out;
+};
+
+// Legacy swarm hash (bzzr0), as in solidity's SwarmHash.cpp
+const bzzr0Hash = (data, offset = 0, length = data.length) => {
+  let ref;
+  if (length <= 0x1000) {
+    ref = data.subarray(offset, offset + length);
+  } else {
+    let maxSize = 0x1000;
+    while (maxSize * (0x1000 / 32) < length) maxSize *= 0x1000 / 32;
+    const inner = [];
+    for (let i = 0; i < length; i += maxSize) {
+      inner.push(bzzr0Hash(data, offset + i, Math.min(maxSize, length - i)));
+    }
+    ref = Buffer.concat(inner);
+  }
+  return keccak(Buffer.concat([littleEndian64(length), ref]));
+};
+
+// Binary merkle tree hash of a (padded) swarm chunk
+const bmtHash = (data) => {
+  if (data.length <= 64) return keccak(data);
+  const mid = data.length / 2;
+  return keccak(Buffer.concat([bmtHash(data.subarray(0, mid)), bmtHash(data.subarray(mid))]));
+};
+
+// Swarm BMT hash (bzzr1), as in solidity's SwarmHash.cpp
+const bzzr1Hash = (data, forceHigherLevel = false) => {
+  let toHash;
+  if (data.length < 0x1000 || (data.length === 0x1000 && !forceHigherLevel)) {
+    toHash = data;
+  } else {
+    let maxSize = 0x1000;
+    while (maxSize * (0x1000 / 32) < data.length) maxSize *= 0x1000 / 32;
+    const forceHigher = maxSize > 0x1000;
+    const inner = [];
+    for (let i = 0; i < data.length; i += maxSize) {
+      inner.push(bzzr1Hash(data.subarray(i, i + Math.min(maxSize, data.length - i)), forceHigher));
+    }
+    toHash = Buffer.concat(inner);
+  }
+  const chunk = Buffer.concat([toHash, Buffer.alloc(0x1000 - toHash.length)]);
+  return keccak(Buffer.concat([littleEndian64(data.length), bmtHash(chunk)]));
+};
+
+// Check metadata.json (exactly as solc wrote it) against the hash in the
+// on-chain trailer. Returns the kind of hash and whether it matched.
+const checkMetadataHash = (trailer, metadataJson) => {
+  const data = Buffer.from(metadataJson, 'utf8');
+  const checks = [
+    ['ipfs', () => ipfsHash(data)],
+    ['bzzr1', () => bzzr1Hash(data).toString('hex')],
+    ['bzzr0', () => bzzr0Hash(data).toString('hex')]
+  ];
+
+  for (const [type, hash] of checks) {
+    if (!trailer[type]) continue;
+    return { type, matches: hash() === trailer[type] };
+  }
+  throw new VerificationError('Bytecode metadata has no source hash to check against');
+};
+
+// Match the uploaded files to the sources listed in the metadata by their
+// keccak256, the way the metadata identifies them. Files that don't hash to
+// the listed value (edited comments, say) are taken by path instead, which
+// can only give a partial match; exact says whether all of them hashed.
+const collectSources = (metadata, files) => {
+  const byHash = new Map();
+  for (const content of Object.values(files || {})) {
+    byHash.set(ethers.keccak256(ethers.toUtf8Bytes(content)), content);
+  }
+
+  const sources = {};
+  const missing = [];
+  let exact = true;
+  for (const [file, source] of Object.entries(metadata.sources || {})) {
+    let content = source.content ?? byHash.get(source.keccak256);
+    if (content === undefined && typeof files?.[file] === 'string') {
+      content = files[file];
+      exact = false;
+    }
+    if (content === undefined) {
+      missing.push({ path: file, keccak256: source.keccak256 });
+    } else {
+      sources[file] = { content };
+    }
+  }
+  if (missing.length > 0) {
+    throw new VerificationError('Source files listed in the metadata are missing', { missing });
+  }
+  return { sources, exact };
+};
+
+// Verify a contract from its metadata.json and source files. The metadata
+// carries the compiler version and settings, so none need to be given.
+// When the metadata or sources aren't exactly those deployed, the sources are
+// still recompiled and a match of the code without its metadata trailer is a
+// partial match. Result is verifyContract's, plus the metadata hash type.
+const verifyWithMetadata = async (rpc, { address, metadata: metadataJson, sources: files, constructorArgs }) => {
+  const onChainCode = (await rpc.getContractCode(address) || '').replace(/^0x/i, '');
+  if (!onChainCode) throw new VerificationError('No contract at this address');
+
+  const trailer = decodeMetadata(onChainCode);
+  if (!trailer) throw new VerificationError('Bytecode has no metadata trailer');
+
+  let metadata;
+  try {
+    metadata = JSON.parse(metadataJson);
+  } catch (e) {
+    throw new VerificationError('Invalid metadata.json', { reason: e.message });
+  }
+  if (metadata.language !== 'Solidity') {
+    throw new VerificationError(`Only Solidity metadata is supported, got ${metadata.language}`);
+  }
+
+  const { type: hashType, matches } = checkMetadataHash(trailer, metadataJson);
+
+  const { compilationTarget, libraries, ...settings } = metadata.settings || {};
+  const [targetFile, targetName] = Object.entries(compilationTarget || {})[0] || [];
+  if (!targetName) throw new VerificationError('Metadata has no compilation target');
+
+  const { sources, exact } = collectSources(metadata, files);
+
+  // Metadata lists libraries as "file:Name" -> address, same as verifyContract
+  const result = await verifyContract(rpc, {
+    address,
+    standardJson: { language: 'Solidity', sources, settings },
+    contractName: `${targetFile}:${targetName}`,
+    compilerVersion: metadata.compiler?.version,
+    libraries: libraries || {},
+    constructorArgs
+  });
+  return { ...result, matchType: matches && exact ? result.matchType : 'partial', hashType };
+};
+
+module.exports = {
+  decodeMetadata,
+  ipfsHash,
+  bzzr0Hash,
+  bzzr1Hash,
+  verifyWithMetadata
+};
@@ -0,0 +1,84 @@
+// QRC-721 (NFT) and ERC-1155 (multi-token) contracts: interface detection
+// and token metadata, read from the contract with callcontract
+const { ethers } = require('ethers');
+
+const QRC721_INTERFACE_ID = '80ac58cd';
+const ERC1155_INTERFACE_ID = 'd9b67a26';
+
+const nftInterface = new ethers.Interface([
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+  'function tokenURI(uint256 tokenId) view returns (string)',
+  'function uri(uint256 id) view returns (string)'
+]);
+
+// Call a view function of the contract (bare hex address). Null when it
+// reverts, returns nothing readable or the node can't run it.
+const callView = async (rpc, address, fn, args) => {
+  try {
+    const result = await rpc.callContract(address, nftInterface.encodeFunctionData(fn, args).slice(2));
+    const { output, excepted } = result?.executionResult || {};
+    if (!output || (excepted && excepted !== 'None')) return null;
+    return nftInterface.decodeFunctionResult(fn, '0x' + output.replace(/^0x/, ''))[0];
+  } catch (e) {
+    return null;
+  }
+};
+
+// ERC-165 check: the contract has to answer true for the interface and false
+// for 0xffffffff, so a fallback that returns true for anything doesn't count
+const supportsInterface = async (rpc, address, interfaceId) => {
+  if (await callView(rpc, address, 'supportsInterface', ['0x' + interfaceId]) !== true) return false;
+  return await callView(rpc, address, 'supportsInterface', ['0xffffffff']) === false;
+};
+
+const isQrc721 = (rpc, address) => supportsInterface(rpc, address, QRC721_INTERFACE_ID);
+const isErc1155 = (rpc, address) => supportsInterface(rpc, address, ERC1155_INTERFACE_ID);
+
+// Token standard of a contract that emits Transfer-style events
+const detectStandard = async (rpc, address) => {
+  if (await isQrc721(rpc, address)) return 'QRC-721';
+  if (await isErc1155(rpc, address)) return 'ERC-1155';
+  return 'QRC-20';
+};
+
+// Metadata JSON from a data: URI (base64 or percent-encoded). Off-chain URIs
+// (ipfs://, https://) are left to the client and give null.
+const parseDataUri = (uri) => {
+  const match = /^data:application\/json(;[^,]*)?,(.*)$/is.exec(uri || '');
+  if (!match) return null;
+  try {
+    const body = /;base64/i.test(match[1] || '')
+      ? Buffer.from(match[2], 'base64').toString('utf8')
+      : decodeURIComponent(match[2]);
+    return JSON.parse(body);
+  } catch (e) {
+    return null;
+  }
+};
+
+// tokenURI(tokenId) and the metadata it holds when it's on chain.
+// tokenId is a decimal string. Returns { tokenUri, metadata }.
+const fetchTokenMetadata = async (rpc, address, tokenId) => {
+  const tokenUri = await callView(rpc, address, 'tokenURI', [BigInt(tokenId)]);
+  return { tokenUri, metadata: tokenUri ? parseDataUri(tokenUri) : null };
+};
+
+// ERC-1155 uri(id), with the {id} placeholder filled in as the spec says
+// (64 lowercase hex digits), and its metadata when it's on chain.
+// Returns { uri, metadata }.
+const fetchUri = async (rpc, address, id) => {
+  const template = await callView(rpc, address, 'uri', [BigInt(id)]);
+  if (template === null) return { uri: null, metadata: null };
+  const uri = template.replace(/\{id\}/g, BigInt(id).toString(16).padStart(64, '0'));
+  return { uri, metadata: parseDataUri(uri) };
+};
+
+module.exports = {
+  supportsInterface,
+  isQrc721,
+  isErc1155,
+  detectStandard,
+  parseDataUri,
+  fetchTokenMetadata,
+  fetchUri
+};
@@ -0,0 +1,172 @@
+// API keys, rate limits and usage quotas for /api and /eth. Anonymous clients
+// get a per-minute credit budget per IP; API keys get their tier's (or their
+// own) budget plus a daily quota. Limits are counted in credits, so routes
+// that fan out to the node cost more than indexed lookups.
+const crypto = require('crypto');
+const { statements } = require('./db');
+
+// Credits per minute and per day; null is unlimited
+const TIERS = {
+  free: { rateLimit: 300, dailyQuota: 100000 },
+  pro: { rateLimit: 1200, dailyQuota: 2000000 },
+  admin: { rateLimit: null, dailyQuota: null }
+};
+
+const ANONYMOUS_RATE_LIMIT = parseInt(process.env.RATE_LIMIT_ANONYMOUS) || 120;
+const WINDOW_MS = 60 * 1000;
+
+// Credits per request, first match wins; everything else costs 1
+const ROUTE_COSTS = [
+  ['GET', /^\/api\/contract\/[^/]+\/events$/, 20],
+  ['POST', /^\/api\/contract\/verify(-metadata)?$/, 20],
+  ['GET', /^\/api\/contracts$/, 10],
+  ['GET', /^\/api\/contract\/[^/]+\/(details|storage\/[^/]+)$/, 5],
+  ['POST', /^\/api\/contract\/[^/]+\/(read|call)$/, 5],
+  ['GET', /^\/api\/address\/[^/]+$/, 2],
+  ['GET', /^\/api\/search$/, 2],
+  ['POST', /^\/api\/rpc$/, 2]
+];
+
+// JSON-RPC methods on /eth that cost more than 1, per call in a batch
+const ETH_METHOD_COSTS = { eth_getLogs: 5, eth_call: 2, eth_getStorageAt: 2 };
+
+const routeCost = (req) => {
+  const path = req.baseUrl + req.path;
+
+  if (req.baseUrl === '/eth') {
+    const calls = Array.isArray(req.body) ? req.body : [req.body];
+    return calls.reduce((sum, call) => sum + (ETH_METHOD_COSTS[call?.method] || 1), 0) || 1;
+  }
+
+  // Etherscan-style ?module= requests
+  const etherscanModule = req.query.module || req.body?.module;
+  if (etherscanModule) return etherscanModule === 'logs' ? 5 : 1;
+
+  const match = ROUTE_COSTS.find(([method, pattern]) => method === req.method && pattern.test(path));
+  return match ? match[2] : 1;
+};
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const keysMatch = (given, expected) => {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// API key of a request, from X-API-Key or Authorization: Bearer. Works on
+// plain Node requests too (WebSocket upgrades).
+const requestKey = (req) => {
+  const header = req.headers['x-api-key'];
+  if (header) return header;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// New key for a tier. Only its hash is stored, so the key itself is returned
+// this once.
+const createApiKey = (name, tier, { rateLimit, dailyQuota } = {}) => {
+  if (!TIERS[tier]) throw new Error(`Unknown tier ${tier}`);
+  const key = 'wtx_' + crypto.randomBytes(24).toString('hex');
+  const { lastInsertRowid } = statements.insertApiKey.run(
+    hashKey(key),
+    key.slice(0, 8),
+    name || null,
+    tier,
+    rateLimit !== undefined ? rateLimit : TIERS[tier].rateLimit,
+    dailyQuota !== undefined ? dailyQuota : TIERS[tier].dailyQuota
+  );
+  return { key, ...statements.getApiKey.get(lastInsertRowid) };
+};
+
+// Per-minute windows are fixed and shared, so the map is dropped wholesale
+// when the minute rolls over
+let windowStart = 0;
+let windowUsage = new Map();
+
+const spend = (identity, cost, limit, now) => {
+  if (now - windowStart >= WINDOW_MS) {
+    windowStart = now - (now % WINDOW_MS);
+    windowUsage = new Map();
+  }
+  const used = windowUsage.get(identity) || 0;
+  if (used + cost > limit) return { allowed: false, remaining: Math.max(limit - used, 0) };
+  windowUsage.set(identity, used + cost);
+  return { allowed: true, remaining: limit - used - cost };
+};
+
+// The caller behind an API key: null without a key, undefined when the key
+// is unknown or revoked
+const findApiKey = (key) => {
+  if (!key) return null;
+  if (process.env.ADMIN_API_KEY && keysMatch(key, process.env.ADMIN_API_KEY)) {
+    return { id: null, name: 'admin', tier: 'admin', rate_limit: null, daily_quota: null };
+  }
+  const apiKey = statements.getApiKeyByHash.get(hashKey(key));
+  return apiKey && apiKey.active ? apiKey : undefined;
+};
+
+// Charge credits to an API key, or to the IP for anonymous callers. Returns
+// the limit headers, and an error when the minute's budget or the day's
+// quota is used up.
+const charge = (apiKey, ip, cost) => {
+  const headers = {};
+  const now = Date.now();
+  const day = today();
+
+  // Daily quota first, so a refused request isn't charged to the minute
+  if (apiKey?.id && apiKey.daily_quota !== null) {
+    const used = statements.getApiUsage.get(apiKey.id, day)?.credits || 0;
+    headers['X-Quota-Limit'] = String(apiKey.daily_quota);
+    headers['X-Quota-Remaining'] = String(Math.max(apiKey.daily_quota - used - cost, 0));
+    if (used + cost > apiKey.daily_quota) {
+      return { headers, error: 'Daily quota exceeded' };
+    }
+  }
+
+  const limit = apiKey ? apiKey.rate_limit : ANONYMOUS_RATE_LIMIT;
+  if (limit !== null) {
+    const { allowed, remaining } = spend(apiKey ? `key:${apiKey.id}` : `ip:${ip}`, cost, limit, now);
+    const reset = Math.ceil((windowStart + WINDOW_MS) / 1000);
+    headers['X-RateLimit-Limit'] = String(limit);
+    headers['X-RateLimit-Remaining'] = String(remaining);
+    headers['X-RateLimit-Reset'] = String(reset);
+    headers['X-RateLimit-Cost'] = String(cost);
+    if (!allowed) {
+      headers['Retry-After'] = String(Math.max(reset - Math.floor(now / 1000), 1));
+      return { headers, error: 'Rate limit exceeded' };
+    }
+  }
+
+  if (apiKey?.id) statements.addApiUsage.run(apiKey.id, day, cost);
+  return { headers, error: null };
+};
+
+// Middleware: identifies the caller (req.apiKey), charges the route's credits
+// and answers 429 when the minute's budget or the day's quota is used up
+const rateLimit = () => (req, res, next) => {
+  const apiKey = findApiKey(requestKey(req));
+  if (apiKey === undefined) return res.status(401).json({ error: 'Invalid API key' });
+  req.apiKey = apiKey;
+
+  const { headers, error } = charge(apiKey, req.ip, routeCost(req));
+  res.set(headers);
+  if (error) return res.status(429).json({ error });
+
+  next();
+};
+
+module.exports = {
+  TIERS,
+  routeCost,
+  hashKey,
+  keysMatch,
+  requestKey,
+  today,
+  createApiKey,
+  findApiKey,
+  charge,
+  rateLimit
+};
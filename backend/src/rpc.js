@@ -1,7 +1,60 @@
 const axios = require('axios');
+const http = require('http');
+const https = require('https');
+
+// JSON-RPC error codes (bitcoind uses -8 and -3 for bad arguments too)
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = [-32602, -8, -3];
+const WARMING_UP = -28;
+
+// Network failures that mean the request never reached the node
+const CONNECT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN'];
+// Failures where the node may or may not have processed the request
+const DROPPED_ERRORS = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ERR_CANCELED'];
+
+class RPCError extends Error {
+  constructor(message, { code = null, method = null, transient = false } = {}) {
+    super(message);
+    this.name = 'RPCError';
+    this.code = code;
+    this.method = method;
+    this.transient = transient; // Worth retrying
+  }
+}
+
+class MethodNotFoundError extends RPCError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'MethodNotFoundError';
+  }
+}
+
+class InvalidParamsError extends RPCError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'InvalidParamsError';
+  }
+}
+
+class NodeUnreachableError extends RPCError {
+  constructor(message, options) {
+    super(message, { ...options, transient: true });
+    this.name = 'NodeUnreachableError';
+  }
+}
+
+// Turn a JSON-RPC error object into the matching error class
+const fromRPCError = (error, method) => {
+  const options = { code: error.code, method };
+  if (error.code === METHOD_NOT_FOUND) return new MethodNotFoundError(error.message, options);
+  if (INVALID_PARAMS.includes(error.code)) return new InvalidParamsError(error.message, options);
+  return new RPCError(error.message, { ...options, transient: error.code === WARMING_UP });
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class WATTxRPC {
-  constructor(url) {
+  constructor(url, options = {}) {
     // Parse URL for auth
     const urlObj = new URL(url);
     this.baseUrl = `${urlObj.protocol}//${urlObj.host}`;
@@ -15,35 +68,126 @@ class WATTxRPC {
 
     this.requestId = 0;
     this.walletName = null; // Set after detecting multi-wallet
+
+    this.timeout = options.timeout || 30000; // ms per attempt
+    this.retries = Number.isInteger(options.retries) ? options.retries : 3; // extra attempts for transient errors
+    this.retryDelay = options.retryDelay || 250; // ms, doubled on every retry
+    // A pool member with other nodes to fall back on gives up on an
+    // unreachable node at once instead of retrying it
+    this.retryUnreachable = options.retryUnreachable ?? true;
+
+    // Reuse connections to the node instead of a new socket per call
+    const Agent = urlObj.protocol === 'https:' ? https.Agent : http.Agent;
+    this.agent = new Agent({ keepAlive: true, maxSockets: options.maxSockets || 16 });
+  }
+
+  // POST a request body, retrying transient failures with exponential backoff.
+  // Wallet calls are not retried once they may have reached the node, since
+  // they can have side effects.
+  async post(body, { useWallet = false, timeout = this.timeout, method = null } = {}) {
+    const url = (useWallet && this.walletName)
+      ? `${this.baseUrl}/wallet/${this.walletName}`
+      : this.baseUrl;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.post(url, body, {
+          auth: this.auth,
+          headers: { 'Content-Type': 'application/json' },
+          timeout,
+          httpAgent: this.agent,
+          httpsAgent: this.agent
+        });
+        return response.data;
+      } catch (error) {
+        const rpcError = this.toRPCError(error, method, useWallet);
+        if (!rpcError.transient || attempt >= this.retries) throw rpcError;
+        if (rpcError instanceof NodeUnreachableError && !this.retryUnreachable) throw rpcError;
+        await sleep(this.retryDelay * Math.pow(2, attempt));
+      }
+    }
   }
 
-  async call(method, params = [], useWallet = false) {
-    try {
-      const url = (useWallet && this.walletName)
-        ? `${this.baseUrl}/wallet/${this.walletName}`
-        : this.baseUrl;
+  toRPCError(error, method, useWallet) {
+    // bitcoind answers errors with a non-2xx status and a JSON-RPC body
+    const body = error.response?.data;
+    if (body?.error) return fromRPCError(body.error, method);
 
-      const response = await axios.post(url, {
-        jsonrpc: '2.0',
-        id: ++this.requestId,
+    if (error.response) {
+      // 503 means the node's work queue is full
+      return new RPCError(`RPC HTTP ${error.response.status} from ${this.baseUrl}`, {
+        code: error.response.status,
         method,
-        params
-      }, {
-        auth: this.auth,
-        headers: { 'Content-Type': 'application/json' }
+        transient: error.response.status === 503
       });
+    }
 
-      if (response.data.error) {
-        throw new Error(response.data.error.message);
-      }
+    if (CONNECT_ERRORS.includes(error.code) || (!useWallet && DROPPED_ERRORS.includes(error.code))) {
+      return new NodeUnreachableError(`Node unreachable at ${this.baseUrl}: ${error.message}`, {
+        code: error.code,
+        method
+      });
+    }
 
-      return response.data.result;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new Error(error.response.data.error.message);
-      }
-      throw error;
+    if (DROPPED_ERRORS.includes(error.code)) {
+      return new RPCError(`Wallet call failed: ${error.message}`, { code: error.code, method });
     }
+
+    return error;
+  }
+
+  // options.timeout overrides the default per-attempt timeout (ms)
+  async call(method, params = [], useWallet = false, options = {}) {
+    const data = await this.post({
+      jsonrpc: '2.0',
+      id: ++this.requestId,
+      method,
+      params
+    }, { useWallet, method, timeout: options.timeout });
+
+    if (data.error) {
+      throw fromRPCError(data.error, method);
+    }
+
+    return data.result;
+  }
+
+  // Send several calls as one JSON-RPC batch; calls are [method, params] pairs
+  // and results come back in the same order. Throws the first failed call's error.
+  async batch(calls, useWallet = false, options = {}) {
+    if (calls.length === 0) return [];
+
+    const requests = calls.map(([method, params = []]) => ({
+      jsonrpc: '2.0',
+      id: ++this.requestId,
+      method,
+      params
+    }));
+
+    const data = await this.post(requests, {
+      useWallet,
+      method: 'batch',
+      timeout: options.timeout
+    });
+
+    if (!Array.isArray(data)) {
+      // A malformed batch is answered with a single error object
+      throw data?.error ? fromRPCError(data.error, 'batch') : new RPCError('Invalid batch response');
+    }
+
+    // Responses may arrive in any order, match them up by id
+    const responses = new Map(data.map(r => [r.id, r]));
+
+    return requests.map(request => {
+      const reply = responses.get(request.id);
+      if (!reply) {
+        throw new RPCError(`No response for ${request.method} in batch`, { method: request.method });
+      }
+      if (reply.error) {
+        throw fromRPCError(reply.error, request.method);
+      }
+      return reply.result;
+    });
   }
 
   async detectWallet() {
@@ -88,6 +232,15 @@ class WATTxRPC {
     return this.call('gettransactionreceipt', [txid]);
   }
 
+  // Mempool methods
+  async getRawMempool() {
+    return this.call('getrawmempool');
+  }
+
+  async getMempoolEntry(txid) {
+    return this.call('getmempoolentry', [txid]);
+  }
+
   async sendRawTransaction(hex) {
     return this.call('sendrawtransaction', [hex]);
   }
@@ -122,6 +275,11 @@ class WATTxRPC {
     return this.call('listcontracts', [start, max]);
   }
 
+  // Call tree of a mined transaction, on nodes with the debug tracing API
+  async traceTransaction(txid) {
+    return this.call('debug_traceTransaction', [txid, { tracer: 'callTracer' }]);
+  }
+
   // Token methods (QRC-20)
   async getTokenName(contractAddress) {
     return this.call('qrc20name', [contractAddress]);
@@ -200,3 +358,7 @@ class WATTxRPC {
 }
 
 module.exports = WATTxRPC;
+module.exports.RPCError = RPCError;
+module.exports.MethodNotFoundError = MethodNotFoundError;
+module.exports.InvalidParamsError = InvalidParamsError;
+module.exports.NodeUnreachableError = NodeUnreachableError;
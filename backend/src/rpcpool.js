@@ -0,0 +1,140 @@
+const WATTxRPC = require('./rpc');
+const { NodeUnreachableError } = WATTxRPC;
+
+// Hide credentials when reporting node URLs
+const redactUrl = (url) => url.replace(/\/\/[^@/]+@/, '//');
+
+// A WATTxRPC that spreads calls over several nodes. Nodes are health-checked
+// by block height; calls go to the best node and fail over to the next one
+// as soon as a node cannot be reached or times out.
+class RPCPool extends WATTxRPC {
+  constructor(urls, options = {}) {
+    super(urls[0], options);
+
+    this.nodes = urls.map(url => ({
+      url: redactUrl(url),
+      rpc: new WATTxRPC(url, { ...options, retryUnreachable: urls.length === 1 }),
+      healthy: true, // Assume healthy until the first check says otherwise
+      height: null,
+      latency: null,
+      lastError: null,
+      lastChecked: null
+    }));
+
+    // Nodes more than maxLag blocks behind the best one are only used as a fallback
+    this.maxLag = options.maxLag ?? 2;
+    this.healthInterval = options.healthInterval || 10000;
+    this.healthTimeout = options.healthTimeout || 5000;
+    this.healthTimer = null;
+    this.pinnedNode = null;
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer) return;
+    this.checkHealth();
+    this.healthTimer = setInterval(() => this.checkHealth(), this.healthInterval);
+  }
+
+  stopHealthChecks() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  async checkHealth() {
+    await Promise.all(this.nodes.map(async (node) => {
+      const started = Date.now();
+      try {
+        node.height = await node.rpc.call('getblockcount', [], false, { timeout: this.healthTimeout });
+        node.latency = Date.now() - started;
+        if (!node.healthy) console.log(`RPC node ${node.url} is back at height ${node.height}`);
+        node.healthy = true;
+        node.lastError = null;
+      } catch (error) {
+        if (node.healthy) console.warn(`RPC node ${node.url} is down: ${error.message}`);
+        node.healthy = false;
+        node.lastError = error.message;
+      }
+      node.lastChecked = Date.now();
+    }));
+  }
+
+  bestHeight() {
+    const heights = this.nodes.filter(n => n.healthy && n.height !== null).map(n => n.height);
+    return heights.length > 0 ? Math.max(...heights) : null;
+  }
+
+  isSynced(node, bestHeight) {
+    return node.healthy && (bestHeight === null || node.height === null || bestHeight - node.height <= this.maxLag);
+  }
+
+  // Synced nodes by latency, then lagging nodes by height, then nodes that are
+  // down (still worth a try if everything else fails)
+  rankedNodes() {
+    const best = this.bestHeight();
+    const rank = (node) => this.isSynced(node, best) ? 0 : node.healthy ? 1 : 2;
+
+    return [...this.nodes].sort((a, b) =>
+      rank(a) - rank(b) ||
+      (b.height ?? -1) - (a.height ?? -1) ||
+      (a.latency ?? Infinity) - (b.latency ?? Infinity)
+    );
+  }
+
+  // A single node for callers that compare answers across calls, like the
+  // indexer's tip checks: the same node as last time while it stays healthy
+  // and synced, else the best ranked one
+  pinned() {
+    if (!this.pinnedNode || !this.isSynced(this.pinnedNode, this.bestHeight())) {
+      this.pinnedNode = this.rankedNodes()[0];
+    }
+    return this.pinnedNode.rpc;
+  }
+
+  // Run fn against each node in rank order until one can be reached
+  async route(fn) {
+    let lastError = null;
+
+    for (const node of this.rankedNodes()) {
+      try {
+        return await fn(node.rpc);
+      } catch (error) {
+        if (!(error instanceof NodeUnreachableError)) throw error;
+
+        if (node.healthy) console.warn(`RPC node ${node.url} failed, failing over: ${error.message}`);
+        node.healthy = false;
+        node.lastError = error.message;
+        lastError = error;
+      }
+    }
+
+    throw lastError || new NodeUnreachableError('No RPC nodes configured');
+  }
+
+  async call(method, params = [], useWallet = false, options = {}) {
+    return this.route(rpc => rpc.call(method, params, useWallet, options));
+  }
+
+  async batch(calls, useWallet = false, options = {}) {
+    return this.route(rpc => rpc.batch(calls, useWallet, options));
+  }
+
+  // Each node may run its own set of wallets
+  async detectWallet() {
+    await Promise.all(this.nodes.map(node => node.rpc.detectWallet()));
+  }
+
+  getNodeStatus() {
+    const best = this.bestHeight();
+    return this.nodes.map(node => ({
+      url: node.url,
+      healthy: node.healthy,
+      synced: this.isSynced(node, best),
+      height: node.height,
+      latency: node.latency,
+      lastError: node.lastError,
+      lastChecked: node.lastChecked
+    }));
+  }
+}
+
+module.exports = RPCPool;
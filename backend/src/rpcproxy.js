@@ -0,0 +1,157 @@
+// Access policy for the raw node RPC proxy (POST /api/rpc). Only allowlisted
+// read-only methods are forwarded; admin methods also need an admin API key.
+// Anything else, including wallet methods like dumpprivkey, sendtoaddress and
+// stop, is refused. Params are checked against each method's signature.
+const { keysMatch, requestKey } = require('./ratelimit');
+
+// Param checks; optional() marks trailing params that may be left out
+const rule = (description, test) => Object.assign(test, { description });
+const optional = (check) => Object.assign((v) => check(v), { description: check.description, optional: true });
+
+const int = rule('a non-negative integer', v => Number.isInteger(v) && v >= 0);
+const bool = rule('a boolean', v => typeof v === 'boolean');
+const string = rule('a string', v => typeof v === 'string' && v.length <= 100);
+const hex = rule('a hex string', v => typeof v === 'string' && /^(0x)?([0-9a-fA-F]{2})*$/.test(v));
+const hash = rule('a 64 character hex hash', v => typeof v === 'string' && /^[0-9a-fA-F]{64}$/.test(v));
+const hexAddress = rule('a hex address', v => typeof v === 'string' && /^(0x)?[0-9a-fA-F]{40}$/.test(v));
+const base58 = rule('a base58 address', v => typeof v === 'string' && /^[1-9A-HJ-NP-Za-km-z]{25,40}$/.test(v));
+const address = rule('an address', v => hexAddress(v) || base58(v));
+const amount = rule('an amount', v => (typeof v === 'number' && v >= 0) || (typeof v === 'string' && /^\d+(\.\d+)?$/.test(v)));
+const object = rule('an object', v => v !== null && typeof v === 'object');
+
+// Read-only methods anyone may call, with their params
+const PUBLIC_METHODS = {
+  getblockcount: [],
+  getbestblockhash: [],
+  getblockhash: [int],
+  getblock: [hash, optional(int)],
+  getblockheader: [hash, optional(bool)],
+  getblockchaininfo: [],
+  getchaintips: [],
+  getdifficulty: [],
+  getmininginfo: [],
+  getstakinginfo: [],
+  getnetworkhashps: [optional(int), optional(int)],
+  getnetworkinfo: [],
+  getmempoolinfo: [],
+  getrawmempool: [optional(bool)],
+  getmempoolentry: [hash],
+  getrawtransaction: [hash, optional(int), optional(hash)],
+  decoderawtransaction: [hex],
+  gettxout: [hash, int, optional(bool)],
+  gettransactionreceipt: [hash],
+  estimatesmartfee: [int, optional(string)],
+  validateaddress: [address],
+  gethexaddress: [base58],
+  fromhexaddress: [hexAddress],
+  getaccountinfo: [hexAddress],
+  getcontractcode: [hexAddress],
+  getstorage: [hexAddress, optional(int), optional(int)],
+  listcontracts: [optional(int), optional(int)],
+  callcontract: [hexAddress, hex, optional(address), optional(int), optional(amount)],
+  searchlogs: [int, int, optional(object), optional(object), optional(int)],
+  qrc20name: [hexAddress],
+  qrc20symbol: [hexAddress],
+  qrc20decimals: [hexAddress],
+  qrc20totalsupply: [hexAddress],
+  qrc20balanceof: [hexAddress, address]
+};
+
+// Node and wallet status for operators. Params aren't checked beyond being a
+// short list of plain values.
+const ADMIN_METHODS = [
+  'getpeerinfo',
+  'getnettotals',
+  'getconnectioncount',
+  'listbanned',
+  'getmemoryinfo',
+  'uptime',
+  'listwallets',
+  'getwalletinfo',
+  'getbalance',
+  'listunspent',
+  'listtransactions'
+];
+
+const MAX_PARAMS = 10;
+
+// Blocks a public searchlogs call may span (RPC_PROXY_SEARCHLOGS_RANGE); the
+// node scans every one of them, so only admins get an unbounded range
+const SEARCHLOGS_RANGE = parseInt(process.env.RPC_PROXY_SEARCHLOGS_RANGE) || 1000;
+
+class RpcProxyError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Comma separated method list from the environment, or the default
+const methodList = (value, defaults) =>
+  value ? value.split(',').map(m => m.trim().toLowerCase()).filter(Boolean) : defaults;
+
+// RPC_PROXY_METHODS and RPC_PROXY_ADMIN_METHODS replace the default lists.
+// Public methods added there without a known signature take plain params.
+const publicMethods = new Set(methodList(process.env.RPC_PROXY_METHODS, Object.keys(PUBLIC_METHODS)));
+const adminMethods = new Set(methodList(process.env.RPC_PROXY_ADMIN_METHODS, ADMIN_METHODS));
+
+// Admin tier API keys (see ratelimit.js) or ADMIN_API_KEY itself
+const isAdminRequest = (req) => {
+  if (req.apiKey?.tier === 'admin') return true;
+  const key = requestKey(req);
+  return Boolean(process.env.ADMIN_API_KEY && key && keysMatch(key, process.env.ADMIN_API_KEY));
+};
+
+const checkParams = (method, params, signature) => {
+  if (!Array.isArray(params)) throw new RpcProxyError('params must be an array', 400);
+  if (params.length > MAX_PARAMS) throw new RpcProxyError(`Too many params for ${method}`, 400);
+
+  if (!signature) {
+    if (params.some(p => object(p))) throw new RpcProxyError(`${method} only takes plain params`, 400);
+    return;
+  }
+
+  if (params.length > signature.length) {
+    const most = signature.length ? `at most ${signature.length}` : 'no';
+    throw new RpcProxyError(`${method} takes ${most} params`, 400);
+  }
+  signature.forEach((check, i) => {
+    if (i >= params.length) {
+      if (!check.optional) throw new RpcProxyError(`${method} is missing param ${i + 1}`, 400);
+      return;
+    }
+    if (!check(params[i])) {
+      throw new RpcProxyError(`${method} param ${i + 1} must be ${check.description}`, 400);
+    }
+  });
+};
+
+// Method name to forward to the node. Throws an RpcProxyError (with the HTTP
+// status to answer) unless the call is allowed.
+const checkCall = (method, params, admin) => {
+  if (typeof method !== 'string' || !method) throw new RpcProxyError('Missing method', 400);
+  const name = method.toLowerCase();
+
+  if (publicMethods.has(name)) {
+    checkParams(name, params, PUBLIC_METHODS[name]);
+    if (name === 'searchlogs' && !admin) {
+      const [fromBlock, toBlock] = params;
+      if (toBlock < fromBlock || toBlock - fromBlock >= SEARCHLOGS_RANGE) {
+        throw new RpcProxyError(`searchlogs may cover at most ${SEARCHLOGS_RANGE} blocks`, 400);
+      }
+    }
+    return name;
+  }
+  if (adminMethods.has(name)) {
+    if (!admin) throw new RpcProxyError(`${name} requires an admin API key`, 401);
+    checkParams(name, params, null);
+    return name;
+  }
+  throw new RpcProxyError(`Method ${name} is not allowed`, 403);
+};
+
+module.exports = {
+  RpcProxyError,
+  isAdminRequest,
+  checkCall
+};
@@ -2,32 +2,86 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const WATTxRPC = require('./rpc');
+const RPCPool = require('./rpcpool');
 const apiRouter = require('./api');
+const etherscanRouter = require('./etherscan');
+const ethRpcRouter = require('./ethrpc');
+const { rateLimit } = require('./ratelimit');
+const { cache } = require('./cache');
 const Indexer = require('./indexer');
+const MempoolWatcher = require('./mempool');
+const LiveFeed = require('./feed');
+const { WebhookDispatcher } = require('./webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:13889';
+// Comma-separated list of nodes to balance over; defaults to RPC_URL alone
+const RPC_URLS = (process.env.RPC_URLS || RPC_URL).split(',').map(url => url.trim()).filter(Boolean);
+// Per-attempt RPC timeout (ms) and retries for transient node errors
+const RPC_OPTIONS = {
+  timeout: parseInt(process.env.RPC_TIMEOUT) || 30000,
+  retries: process.env.RPC_RETRIES !== undefined ? parseInt(process.env.RPC_RETRIES) : 3,
+  healthInterval: parseInt(process.env.RPC_HEALTH_INTERVAL) || 10000
+};
+// Seconds between checks of indexed token balances against the node (0 = off)
+const TOKEN_RECONCILE_INTERVAL = parseInt(process.env.TOKEN_RECONCILE_INTERVAL) || 0;
+// Blocks fetched concurrently during sync, and blocks per sync round
+const INDEXER_WORKERS = parseInt(process.env.INDEXER_WORKERS) || 4;
+const INDEXER_BATCH_SIZE = parseInt(process.env.INDEXER_BATCH_SIZE) || 100;
+// Trace internal calls with debug_traceTransaction where the node has it (set to 0 to skip)
+const INDEXER_TRACE = process.env.INDEXER_TRACE !== '0';
+// How often (ms) to poll the node's mempool for pending transactions
+const MEMPOOL_POLL_INTERVAL = parseInt(process.env.MEMPOOL_POLL_INTERVAL) || 5000;
+// Watchlist webhooks: attempts before a delivery becomes a dead letter, and
+// seconds before the first retry (doubled after each failure)
+const WEBHOOK_OPTIONS = {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 30,
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000
+};
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "loopback") so per-IP rate
+// limits see the client's address instead of the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  exposedHeaders: [
+    'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Cost',
+    'X-Quota-Limit', 'X-Quota-Remaining', 'Retry-After'
+  ]
+}));
 app.use(express.json({ limit: '10mb' }));
 
-// Create RPC client
-const rpc = new WATTxRPC(RPC_URL);
+// API keys and rate limits; RATE_LIMIT_ANONYMOUS sets the per-IP credits a minute
+app.use(['/api', '/eth'], rateLimit());
+
+// Create RPC client, shared by the API and the indexer
+const rpc = new RPCPool(RPC_URLS, RPC_OPTIONS);
+rpc.startHealthChecks();
 app.locals.rpc = rpc;
 
-// API routes
+// API routes, with Etherscan-style ?module=&action= requests on /api itself.
+// The /api/rpc node proxy only forwards allowlisted methods; ADMIN_API_KEY
+// unlocks the admin ones (see rpcproxy.js).
+app.use('/api', etherscanRouter);
 app.use('/api', apiRouter);
 
+// Ethereum JSON-RPC for EVM tooling (ethers.js, Hardhat); ETH_CHAIN_ID sets the chain id
+app.use('/eth', ethRpcRouter);
+
 // Health check
 app.get('/health', async (req, res) => {
+  const nodes = rpc.getNodeStatus();
   try {
     const blockNumber = await rpc.getBlockCount();
-    res.json({ status: 'ok', blockNumber });
+    const status = nodes.every(node => node.healthy && node.synced) ? 'ok' : 'degraded';
+    res.json({ status, blockNumber, nodes });
   } catch (error) {
-    res.status(500).json({ status: 'error', error: error.message });
+    res.status(500).json({ status: 'error', error: error.message, nodes });
   }
 });
 
@@ -39,10 +93,25 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
+// Live feed of indexed blocks over WebSocket at /ws; WS_MAX_CONNECTIONS_PER_IP
+// caps the connections one client may hold open
+const feed = new LiveFeed(rpc, {
+  trustProxy: Boolean(process.env.TRUST_PROXY),
+  maxConnectionsPerIp: parseInt(process.env.WS_MAX_CONNECTIONS_PER_IP) || 10
+});
+
+// Watchlist alerts, posted to webhooks (see webhooks.js); retries run even
+// while the node is unreachable
+const webhooks = new WebhookDispatcher(WEBHOOK_OPTIONS);
+app.locals.webhooks = webhooks;
+webhooks.start();
+
 // Start server
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
   console.log(`WATTx Explorer API running on port ${PORT}`);
-  console.log(`Connected to RPC: ${RPC_URL.replace(/:[^:@]+@/, ':***@')}`);
+  for (const url of RPC_URLS) {
+    console.log(`Connected to RPC: ${url.replace(/:[^:@]+@/, ':***@')}`);
+  }
 
   try {
     // Detect multi-wallet setup
@@ -52,11 +121,31 @@ app.listen(PORT, async () => {
     console.log(`Current block height: ${blockNumber}`);
 
     // Start indexer
-    const indexer = new Indexer(RPC_URL);
+    const indexer = new Indexer(rpc, {
+      reconcileInterval: TOKEN_RECONCILE_INTERVAL,
+      workers: INDEXER_WORKERS,
+      batchSize: INDEXER_BATCH_SIZE,
+      trace: INDEXER_TRACE
+    });
+    app.locals.indexer = indexer;
+
+    // Cached responses are keyed to the chain tip
+    indexer.on('block', () => cache.newTip());
+    indexer.on('reorg', () => cache.clear());
+    feed.listen(indexer);
+    webhooks.listen(indexer);
+
     indexer.start();
+
+    // Track unconfirmed transactions
+    const mempool = new MempoolWatcher(rpc, { pollInterval: MEMPOOL_POLL_INTERVAL });
+    app.locals.mempool = mempool;
+    mempool.start();
   } catch (error) {
     console.error('Failed to connect to RPC:', error.message);
   }
 });
 
+feed.attach(server);
+
 module.exports = app;
@@ -0,0 +1,175 @@
+// Registry of function selectors and event topics, used to make a best-effort
+// guess at calls and logs of contracts that are not verified. Seeded with the
+// standard interfaces and extended with every ABI verified here.
+const { ethers } = require('ethers');
+const { db, statements } = require('./db');
+const { describeArgs } = require('./decoder');
+
+const STANDARD_INTERFACES = {
+  'QRC-20': [
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function transfer(address to, uint256 value) returns (bool)',
+    'function transferFrom(address from, address to, uint256 value) returns (bool)',
+    'function approve(address spender, uint256 value) returns (bool)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Approval(address indexed owner, address indexed spender, uint256 value)'
+  ],
+  'QRC-721': [
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function safeTransferFrom(address from, address to, uint256 tokenId)',
+    'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+    'function setApprovalForAll(address operator, bool approved)',
+    'function getApproved(uint256 tokenId) view returns (address)',
+    'function isApprovedForAll(address owner, address operator) view returns (bool)',
+    'function tokenURI(uint256 tokenId) view returns (string)',
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+    'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+    'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)'
+  ],
+  'ERC-1155': [
+    'function balanceOf(address account, uint256 id) view returns (uint256)',
+    'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])',
+    'function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes data)',
+    'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] values, bytes data)',
+    'function uri(uint256 id) view returns (string)',
+    'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+    'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+    'event URI(string value, uint256 indexed id)'
+  ],
+  Ownable: [
+    'function owner() view returns (address)',
+    'function renounceOwnership()',
+    'function transferOwnership(address newOwner)',
+    'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)'
+  ],
+  AccessControl: [
+    'function hasRole(bytes32 role, address account) view returns (bool)',
+    'function getRoleAdmin(bytes32 role) view returns (bytes32)',
+    'function grantRole(bytes32 role, address account)',
+    'function revokeRole(bytes32 role, address account)',
+    'function renounceRole(bytes32 role, address callerConfirmation)',
+    'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+    'event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)',
+    'event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole)'
+  ]
+};
+
+// Events with the same signature differ in which params are indexed (QRC-20
+// and QRC-721 Transfer), so that is part of what makes an entry distinct
+const canonical = (fragment) => fragment.type === 'event'
+  ? `${fragment.format('sighash')}|${fragment.inputs.map(input => input.indexed ? 1 : 0).join('')}`
+  : fragment.format('sighash');
+
+const register = (fragments, source) => {
+  let added = 0;
+  db.transaction(() => {
+    for (const fragment of fragments) {
+      if (fragment.type !== 'function' && fragment.type !== 'event' && fragment.type !== 'error') continue;
+      // Anonymous events have no topic to look them up by
+      if (fragment.type === 'event' && fragment.anonymous) continue;
+
+      const selector = fragment.type === 'event' ? fragment.topicHash : fragment.selector;
+      added += statements.insertSignature.run(
+        selector.slice(2),
+        fragment.type,
+        fragment.format('sighash'),
+        canonical(fragment),
+        fragment.format('json'),
+        source
+      ).changes;
+    }
+  })();
+  return added;
+};
+
+// Add the functions, events and errors of a verified ABI; returns how many
+// were new
+const registerAbi = (abi) => register(new ethers.Interface(abi).fragments, 'verified');
+
+// Standard interfaces, then contracts verified before the registry existed
+const seedSignatures = () => {
+  for (const [name, abi] of Object.entries(STANDARD_INTERFACES)) {
+    register(abi.map(item => ethers.Fragment.from(item)), name);
+  }
+  for (const { address, abi } of statements.getContractAbis.all()) {
+    try {
+      registerAbi(JSON.parse(abi));
+    } catch (e) {
+      console.warn(`Skipping ABI of contract ${address}: ${e.message}`);
+    }
+  }
+};
+
+// Entries for a 4-byte selector or 32-byte topic (hex, 0x optional)
+const lookupSignature = (selector) =>
+  statements.getSignatures.all(selector.replace(/^0x/i, '').toLowerCase());
+
+// Guess at call data (hex) with the registry, trying each candidate with
+// this selector until one decodes
+const guessInput = (input) => {
+  const data = (input || '').replace(/^0x/i, '');
+  if (data.length < 8) return null;
+
+  for (const entry of lookupSignature(data.slice(0, 8))) {
+    if (entry.type !== 'function') continue;
+    try {
+      const iface = new ethers.Interface([JSON.parse(entry.fragment)]);
+      const parsed = iface.parseTransaction({ data: '0x' + data });
+      return {
+        name: parsed.name,
+        signature: parsed.signature,
+        selector: parsed.selector,
+        args: describeArgs(parsed.fragment.inputs, parsed.args),
+        source: 'signatures'
+      };
+    } catch (e) {
+      // Selector collision or malformed data, try the next one
+    }
+  }
+  return null;
+};
+
+// Guess at a log (bare hex topics and data) with the registry. The number of
+// topics has to fit the candidate's indexed params.
+const guessLog = (rawTopics, data) => {
+  const topics = rawTopics.map(topic => topic.replace(/^0x/i, ''));
+  if (topics.length === 0) return null;
+
+  for (const entry of lookupSignature(topics[0])) {
+    if (entry.type !== 'event') continue;
+    try {
+      const iface = new ethers.Interface([JSON.parse(entry.fragment)]);
+      const [event] = iface.fragments;
+      if (event.inputs.filter(input => input.indexed).length !== topics.length - 1) continue;
+
+      const parsed = iface.parseLog({
+        topics: topics.map(topic => '0x' + topic),
+        data: '0x' + (data || '').replace(/^0x/i, '')
+      });
+      return {
+        name: parsed.name,
+        signature: parsed.signature,
+        args: describeArgs(parsed.fragment.inputs, parsed.args),
+        source: 'signatures'
+      };
+    } catch (e) {
+      // Try the next candidate
+    }
+  }
+  return null;
+};
+
+seedSignatures();
+
+module.exports = {
+  registerAbi,
+  lookupSignature,
+  guessInput,
+  guessLog
+};
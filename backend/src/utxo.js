@@ -0,0 +1,186 @@
+// Helpers for reading WATTx UTXO transactions as returned by the node
+const { statements } = require('./db');
+
+// Convert a WTX amount from RPC (float) to satoshis
+const toSatoshis = (value) => Math.round((value || 0) * 1e8);
+
+// Address paid by an output (or prevout), if it has one. Base58 is case
+// sensitive, so it is kept exactly as the node returns it.
+const outputAddress = (vout) => {
+  const script = vout?.scriptPubKey;
+  if (!script) return null;
+  if (script.address) return script.address;
+  if (script.addresses && script.addresses[0]) return script.addresses[0];
+  return null;
+};
+
+const isCoinbase = (tx) => !!tx.vin?.[0]?.coinbase;
+
+// Coinstakes mark themselves with an empty first output
+const isCoinstake = (tx) => {
+  if (isCoinbase(tx) || !tx.vout || tx.vout.length < 2) return false;
+  const marker = tx.vout[0];
+  return toSatoshis(marker.value) === 0 && !marker.scriptPubKey?.hex;
+};
+
+// Script numbers show up in asm as decimal, or as little-endian hex when long
+const parseScriptNumber = (token) => {
+  if (/^-?\d+$/.test(token)) return BigInt(token);
+  const bytes = token.match(/../g) || [];
+  return BigInt('0x' + (bytes.reverse().join('') || '0'));
+};
+
+// Parse an OP_CALL / OP_CREATE output:
+//   call:   <version> <gasLimit> <gasPrice> <data> <contract> OP_CALL
+//   create: <version> <gasLimit> <gasPrice> <bytecode> OP_CREATE
+// Anything before them (e.g. an OP_SENDER prefix) is ignored.
+const parseContractScript = (scriptPubKey) => {
+  const ops = (scriptPubKey?.asm || '').split(' ');
+  const last = ops.length - 1;
+
+  try {
+    if (ops[last] === 'OP_CALL' && ops.length >= 6) {
+      return {
+        type: 'call',
+        gasLimit: parseScriptNumber(ops[last - 4]),
+        gasPrice: parseScriptNumber(ops[last - 3]),
+        data: ops[last - 2],
+        contract: ops[last - 1].toLowerCase()
+      };
+    }
+    if (ops[last] === 'OP_CREATE' && ops.length >= 5) {
+      return {
+        type: 'create',
+        gasLimit: parseScriptNumber(ops[last - 3]),
+        gasPrice: parseScriptNumber(ops[last - 2]),
+        data: ops[last - 1],
+        contract: null
+      };
+    }
+  } catch (e) {
+    // Malformed script, treat as a plain output
+  }
+  return null;
+};
+
+// Output with its address (the contract for OP_CALL) and satoshi value
+const readOutput = (vout) => {
+  const contract = parseContractScript(vout.scriptPubKey);
+  return {
+    address: contract?.type === 'call' ? contract.contract : outputAddress(vout),
+    value: toSatoshis(vout.value),
+    contract
+  };
+};
+
+const readOutputs = (tx) => (tx.vout || []).map(readOutput);
+
+// Condensing transactions are created by contract execution to move coins
+// held by contracts; they spend contract outputs with OP_SPEND
+const isCondensing = (tx) => (tx.vin || []).some(vin => vin.scriptSig?.asm === 'OP_SPEND');
+
+// Sender, main recipient and amount sent, given resolved inputs and outputs.
+// The sender owns the first resolved input; anything not returned to it as
+// change is the amount sent (a contract creation counts as a payment with no
+// recipient address).
+const summarizePayment = (inputs, outputs) => {
+  const fromAddress = inputs.find(input => input.address)?.address || null;
+
+  const payments = outputs.filter(o =>
+    (o.address && o.address !== fromAddress) || o.contract?.type === 'create'
+  );
+  const toAddress = payments.length > 0
+    ? payments[0].address
+    : outputs.find(o => o.address)?.address || null;
+  const sent = payments.length > 0 ? payments : outputs;
+  const value = sent.reduce((sum, o) => sum + o.value, 0);
+
+  return { fromAddress, toAddress, value };
+};
+
+// Look up the address and amount (satoshis) of every output spent by txs.
+// Returns a Map of txid -> inputs in vin order. Outputs created by an earlier
+// tx in the list (same block, or chained in the mempool) are resolved
+// directly, then indexed outputs, then the node as a last resort.
+const resolveInputs = async (rpc, txs) => {
+  const resolved = new Map();
+
+  const listOutputs = new Map();
+  for (const tx of txs) {
+    for (const vout of (tx.vout || [])) {
+      const { address, value } = readOutput(vout);
+      listOutputs.set(`${tx.txid}:${vout.n}`, { address, value });
+    }
+  }
+
+  for (const tx of txs) {
+    const inputs = [];
+    for (const vin of (tx.vin || [])) {
+      if (vin.coinbase) {
+        inputs.push({ coinbase: true, address: null, value: 0 });
+        continue;
+      }
+
+      let prevout = null;
+      if (vin.prevout) {
+        // getblock verbosity 3 already carries the spent output
+        const { address, value } = readOutput(vin.prevout);
+        prevout = { address, value };
+      } else {
+        prevout = listOutputs.get(`${vin.txid}:${vin.vout}`);
+      }
+
+      if (!prevout) {
+        const row = statements.getOutput.get(vin.txid, vin.vout);
+        if (row) prevout = { address: row.address, value: parseInt(row.value) };
+      }
+
+      if (!prevout) {
+        // Not indexed yet (e.g. sync started mid-chain), ask the node
+        try {
+          const prevTx = await rpc.getTransaction(vin.txid, true);
+          const vout = prevTx?.vout?.find(o => o.n === vin.vout);
+          if (vout) {
+            const { address, value } = readOutput(vout);
+            prevout = { address, value };
+          }
+        } catch (e) {
+          console.warn(`Could not resolve input ${vin.txid}:${vin.vout}: ${e.message}`);
+        }
+      }
+
+      inputs.push({
+        coinbase: false,
+        prevTxHash: vin.txid,
+        prevIndex: vin.vout,
+        address: prevout?.address || null,
+        value: prevout?.value || 0
+      });
+    }
+    resolved.set(tx.txid, inputs);
+  }
+
+  return resolved;
+};
+
+// Fee paid by a transaction, in satoshis: sum(inputs) - sum(outputs).
+// inputValues are the satoshi amounts of the outputs it spends.
+const txFee = (tx, inputValues) => {
+  if (isCoinbase(tx) || isCoinstake(tx)) return 0;
+  const totalIn = inputValues.reduce((sum, v) => sum + v, 0);
+  const totalOut = (tx.vout || []).reduce((sum, o) => sum + toSatoshis(o.value), 0);
+  return Math.max(0, totalIn - totalOut);
+};
+
+module.exports = {
+  toSatoshis,
+  outputAddress,
+  isCoinbase,
+  isCoinstake,
+  isCondensing,
+  parseContractScript,
+  readOutputs,
+  resolveInputs,
+  summarizePayment,
+  txFee
+};
@@ -0,0 +1,434 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const solc = require('solc');
+const { ethers } = require('ethers');
+const { statements } = require('./db');
+
+// Extra compilers: soljson-v<version>+commit.<hash>.js builds from
+// https://binaries.soliditylang.org/bin/ dropped into this directory
+const SOLC_DIR = process.env.SOLC_DIR || path.join(__dirname, '../solc');
+
+// Compiles run in worker threads so they don't stall the indexer and the API:
+// at most COMPILE_CONCURRENCY at a time, each stopped after COMPILE_TIMEOUT ms
+const COMPILE_CONCURRENCY = parseInt(process.env.COMPILE_CONCURRENCY) || 1;
+const COMPILE_TIMEOUT = parseInt(process.env.COMPILE_TIMEOUT) || 120000;
+
+// Verification failed for a reason the submitter can fix (bad source, wrong
+// settings, bytecode mismatch); details says what differed
+class VerificationError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'VerificationError';
+    this.details = details;
+  }
+}
+
+const strip0x = (hex) => (hex || '').replace(/^0x/i, '').toLowerCase();
+
+// solc reports e.g. 0.8.37+commit.f401782d.Emscripten.clang
+const bundledVersion = solc.version().replace(/\.Emscripten.*$/, '');
+
+const availableCompilers = () => {
+  let files = [];
+  try {
+    files = fs.readdirSync(SOLC_DIR);
+  } catch (e) {
+    // No extra compilers installed
+  }
+  const versions = files
+    .map(file => file.match(/^soljson-v(.+)\.js$/)?.[1])
+    .filter(Boolean);
+  return [...new Set([bundledVersion, ...versions])];
+};
+
+// Full version of an available compiler. Accepts 0.8.20, v0.8.20 or
+// v0.8.20+commit.a1b79de6.
+const findCompiler = (version) => {
+  const wanted = String(version || '').trim().replace(/^v/, '');
+  const available = availableCompilers();
+  const match = available.find(v => v === wanted || v.split('+')[0] === wanted);
+  if (!match) {
+    throw new VerificationError(`Compiler version ${version} is not available`, { available });
+  }
+  return match;
+};
+
+// Compiles waiting for a free worker slot
+let runningCompiles = 0;
+const waitingCompiles = [];
+
+// Standard JSON output of solc version for input, from a worker thread
+const runCompiler = async (version, input) => {
+  if (runningCompiles < COMPILE_CONCURRENCY) {
+    runningCompiles++;
+  } else {
+    // A finishing compile hands its slot straight over
+    await new Promise(resolve => waitingCompiles.push(resolve));
+  }
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const worker = new Worker(path.join(__dirname, 'compileworker.js'), {
+        workerData: { version, bundled: version === bundledVersion, solcDir: SOLC_DIR, input: JSON.stringify(input) }
+      });
+      const timer = setTimeout(() => {
+        worker.terminate();
+        reject(new VerificationError(`Compilation took longer than ${COMPILE_TIMEOUT / 1000}s`));
+      }, COMPILE_TIMEOUT);
+
+      worker.once('message', (output) => {
+        clearTimeout(timer);
+        resolve(JSON.parse(output));
+        worker.terminate();
+      });
+      worker.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      worker.once('exit', (code) => {
+        clearTimeout(timer);
+        reject(new Error(`Compiler exited with code ${code}`));
+      });
+    });
+  } finally {
+    const next = waitingCompiles.shift();
+    if (next) next();
+    else runningCompiles--;
+  }
+};
+
+// Solidity appends CBOR-encoded metadata (which hashes the source, comments
+// and all) followed by its length as 2 bytes. Returns the code without it.
+const splitMetadata = (code) => {
+  if (code.length < 4) return { body: code, metadata: '' };
+  const length = parseInt(code.slice(-4), 16) * 2;
+  const start = code.length - 4 - length;
+  // The metadata is a CBOR map, so it starts with 0xa1-0xbf
+  if (start < 0 || !/^(a[1-9a-f]|b[0-9a-f])/.test(code.slice(start, start + 2))) {
+    return { body: code, metadata: '' };
+  }
+  return { body: code.slice(0, start), metadata: code.slice(start) };
+};
+
+// Immutables are filled in by the constructor, so blank them out of the
+// on-chain code (the compiler leaves zeros there)
+const blankImmutables = (code, immutableReferences = {}) => {
+  let result = code;
+  for (const refs of Object.values(immutableReferences)) {
+    for (const { start, length } of refs) {
+      result = result.slice(0, start * 2) + '0'.repeat(length * 2) + result.slice((start + length) * 2);
+    }
+  }
+  return result;
+};
+
+// Where two hex strings first differ, with a snippet of each around it
+const describeDiff = (compiled, onChain) => {
+  let offset = 0;
+  while (offset < compiled.length && offset < onChain.length &&
+         compiled.substr(offset, 2) === onChain.substr(offset, 2)) {
+    offset += 2;
+  }
+  const from = Math.max(0, offset - 32);
+  return {
+    compiledLength: compiled.length / 2,
+    onChainLength: onChain.length / 2,
+    firstDifference: offset / 2,
+    compiled: compiled.slice(from, offset + 64),
+    onChain: onChain.slice(from, offset + 64)
+  };
+};
+
+const OUTPUT_SELECTION = {
+  '*': {
+    '*': [
+      'abi',
+      'evm.bytecode.object',
+      'evm.bytecode.linkReferences',
+      'evm.deployedBytecode.object',
+      'evm.deployedBytecode.immutableReferences',
+      'evm.deployedBytecode.linkReferences'
+    ]
+  }
+};
+
+// Library addresses keyed by "path/File.sol:Name" or just "Name" (any file),
+// as bare hex
+const normalizeLibraries = (libraries = {}) => {
+  const normalized = {};
+  for (const [key, address] of Object.entries(libraries)) {
+    const hex = strip0x(address);
+    if (!/^[0-9a-f]{40}$/.test(hex)) {
+      throw new VerificationError(`Library ${key} needs a hex address`, { library: key, address });
+    }
+    normalized[key] = hex;
+  }
+  return normalized;
+};
+
+// Fill library placeholders using the compiler's link references. Libraries
+// given with their file are linked by solc (they are part of the metadata);
+// this covers the ones given by name only.
+const linkLibraries = (code, linkReferences = {}, libraries = {}) => {
+  let linked = code;
+  for (const [file, names] of Object.entries(linkReferences)) {
+    for (const [name, refs] of Object.entries(names)) {
+      const address = libraries[`${file}:${name}`] || libraries[name];
+      if (!address) continue;
+      for (const { start, length } of refs) {
+        linked = linked.slice(0, start * 2) + address + linked.slice((start + length) * 2);
+      }
+    }
+  }
+  return linked;
+};
+
+// Standard JSON input for a submission: the submitter's own Standard JSON
+// input, or one built from the source files and settings
+const buildInput = ({ standardJson, sources, optimization, runs, evmVersion, remappings }) => {
+  let input;
+  if (standardJson) {
+    try {
+      input = typeof standardJson === 'string' ? JSON.parse(standardJson) : { ...standardJson };
+    } catch (e) {
+      throw new VerificationError('Invalid Standard JSON input', { reason: e.message });
+    }
+    if (input.language && input.language !== 'Solidity') {
+      throw new VerificationError(`Only Solidity sources can be verified, got ${input.language}`);
+    }
+    input.settings = { ...input.settings };
+  } else {
+    input = {
+      language: 'Solidity',
+      sources: Object.fromEntries(Object.entries(sources || {}).map(([file, content]) => [file, { content }])),
+      settings: { optimizer: { enabled: !!optimization, runs: runs || 200 } }
+    };
+    if (evmVersion) input.settings.evmVersion = evmVersion;
+    if (remappings && remappings.length > 0) input.settings.remappings = remappings;
+  }
+
+  // Sources given only by URL would have to be fetched, we need the content
+  const files = Object.entries(input.sources || {});
+  if (files.length === 0) throw new VerificationError('No source files submitted');
+  for (const [file, source] of files) {
+    if (typeof source?.content !== 'string') {
+      throw new VerificationError(`Source ${file} has no content`);
+    }
+  }
+
+  input.settings.outputSelection = OUTPUT_SELECTION;
+  return input;
+};
+
+const compile = async (version, input, libraries) => {
+  const output = await runCompiler(version, input);
+  const errors = (output.errors || []).filter(e => e.severity === 'error');
+  if (errors.length > 0) {
+    throw new VerificationError('Compilation failed', {
+      errors: errors.map(e => e.formattedMessage || e.message)
+    });
+  }
+
+  const contracts = [];
+  for (const [file, byName] of Object.entries(output.contracts || {})) {
+    for (const [name, contract] of Object.entries(byName)) {
+      const { bytecode, deployedBytecode } = contract.evm;
+      contracts.push({
+        file,
+        name,
+        abi: contract.abi,
+        bytecode: linkLibraries(bytecode.object, bytecode.linkReferences, libraries),
+        runtime: linkLibraries(deployedBytecode.object, deployedBytecode.linkReferences, libraries),
+        immutableReferences: deployedBytecode.immutableReferences,
+        linkReferences: deployedBytecode.linkReferences
+      });
+    }
+  }
+  return contracts;
+};
+
+// Standard JSON groups libraries by file, flatten them to "file:Name" keys
+const flattenLibraries = (grouped = {}) => Object.fromEntries(
+  Object.entries(grouped).flatMap(([file, names]) =>
+    Object.entries(names).map(([name, address]) => [`${file}:${name}`, strip0x(address)]))
+);
+
+// Libraries the compiled code still has placeholders for
+const unlinkedLibraries = (contract, libraries) => Object.entries(contract.linkReferences || {})
+  .flatMap(([file, names]) => Object.keys(names).map(name => `${file}:${name}`))
+  .filter(key => !libraries[key] && !libraries[key.slice(key.lastIndexOf(':') + 1)]);
+
+// Constructor arguments are whatever follows the compiled creation code in the
+// transaction that created the contract
+const extractConstructorArgs = (contract, address) => {
+  const creation = statements.getCreationTx.get(address);
+  if (!creation || !creation.input || creation.input === '0x') return null;
+
+  const input = strip0x(creation.input);
+  const compiled = contract.bytecode;
+  // The runtime's metadata is embedded in the creation code too
+  const { metadata } = splitMetadata(contract.runtime);
+  const metaStart = metadata ? compiled.lastIndexOf(metadata) : -1;
+  const mask = (code) => metaStart < 0
+    ? code
+    : code.slice(0, metaStart) + code.slice(metaStart + metadata.length);
+
+  const deployed = input.slice(0, compiled.length);
+  if (input.length < compiled.length || mask(deployed) !== mask(compiled)) {
+    throw new VerificationError('Creation bytecode does not match the creation transaction', {
+      diff: describeDiff(compiled, deployed)
+    });
+  }
+  return input.slice(compiled.length);
+};
+
+const checkConstructorArgs = (abi, args) => {
+  const constructor = abi.find(item => item.type === 'constructor');
+  const types = constructor?.inputs || [];
+
+  if (types.length === 0) {
+    if (args) throw new VerificationError('Contract has no constructor arguments', { constructorArgs: args });
+    return;
+  }
+  try {
+    ethers.AbiCoder.defaultAbiCoder().decode(types, '0x' + args);
+  } catch (e) {
+    throw new VerificationError('Constructor arguments do not match the constructor', {
+      constructorArgs: args,
+      expected: types.map(input => input.type),
+      reason: e.shortMessage || e.message
+    });
+  }
+};
+
+// Does a compiled contract answer to name ("Token" or "contracts/Token.sol:Token")
+const isNamed = (contract, name) => {
+  if (!name) return true;
+  const split = name.lastIndexOf(':');
+  if (split < 0) return contract.name === name;
+  return contract.file === name.slice(0, split) && contract.name === name.slice(split + 1);
+};
+
+// Compile the submitted sources and check them against the code at address
+// (bare hex). Sources come as a single sourceCode string, a map of file path
+// to content, or a complete Standard JSON input. Returns the matching
+// contract with the sources and settings it was verified with.
+const verifyContract = async (rpc, {
+  address,
+  sourceCode,
+  sources,
+  standardJson,
+  contractName,
+  compilerVersion,
+  optimization,
+  runs,
+  evmVersion,
+  remappings,
+  libraries,
+  constructorArgs
+}) => {
+  const onChainCode = strip0x(await rpc.getContractCode(address));
+  if (!onChainCode) throw new VerificationError('No contract at this address');
+
+  const input = buildInput({
+    standardJson,
+    sources: sources || (sourceCode ? { 'contract.sol': sourceCode } : null),
+    optimization,
+    runs,
+    evmVersion,
+    remappings
+  });
+  const settings = input.settings;
+  const linked = {};
+  for (const [key, hex] of Object.entries(normalizeLibraries(libraries))) {
+    const split = key.lastIndexOf(':');
+    if (split < 0) {
+      linked[key] = hex;
+      continue;
+    }
+    const file = key.slice(0, split);
+    settings.libraries = {
+      ...settings.libraries,
+      [file]: { ...settings.libraries?.[file], [key.slice(split + 1)]: '0x' + hex }
+    };
+  }
+
+  const version = findCompiler(compilerVersion);
+  const contracts = (await compile(version, input, linked))
+    .filter(c => c.runtime && isNamed(c, contractName));
+  if (contracts.length === 0) {
+    throw new VerificationError(contractName
+      ? `Contract ${contractName} not found in the source`
+      : 'Source has no deployable contracts');
+  }
+
+  const onChain = splitMetadata(onChainCode).body;
+  const match = contracts.find(c =>
+    splitMetadata(c.runtime).body === blankImmutables(onChain, c.immutableReferences)
+  );
+
+  if (!match) {
+    // Report against the named contract, or the one closest in size
+    const closest = contracts.reduce((best, c) =>
+      Math.abs(c.runtime.length - onChainCode.length) < Math.abs(best.runtime.length - onChainCode.length) ? c : best
+    );
+    const missing = unlinkedLibraries(closest, linked);
+    if (missing.length > 0) {
+      throw new VerificationError('Library addresses are needed to link the bytecode', {
+        contract: `${closest.file}:${closest.name}`,
+        libraries: missing
+      });
+    }
+
+    const compiled = splitMetadata(closest.runtime).body;
+    throw new VerificationError('Bytecode does not match', {
+      contract: `${closest.file}:${closest.name}`,
+      compiler: version,
+      optimization: !!settings.optimizer?.enabled,
+      runs: settings.optimizer?.runs ?? 200,
+      diff: describeDiff(compiled, blankImmutables(onChain, closest.immutableReferences))
+    });
+  }
+
+  const submittedArgs = constructorArgs ? strip0x(constructorArgs) : null;
+  const chainArgs = extractConstructorArgs(match, address);
+  if (chainArgs !== null && submittedArgs !== null && submittedArgs !== chainArgs) {
+    throw new VerificationError('Constructor arguments do not match the creation transaction', {
+      submitted: submittedArgs,
+      onChain: chainArgs
+    });
+  }
+
+  const args = chainArgs ?? submittedArgs ?? '';
+  checkConstructorArgs(match.abi, args);
+
+  // Identical metadata means the sources, comments included, and settings
+  // are exactly those deployed; otherwise only the executable code matched
+  const { metadata } = splitMetadata(match.runtime);
+  const matchType = metadata && metadata === splitMetadata(onChainCode).metadata ? 'full' : 'partial';
+
+  return {
+    name: match.name,
+    path: match.file,
+    matchType,
+    abi: match.abi,
+    compilerVersion: version,
+    constructorArgs: args,
+    sources: Object.fromEntries(Object.entries(input.sources).map(([file, source]) => [file, source.content])),
+    settings: {
+      optimization: !!settings.optimizer?.enabled,
+      runs: settings.optimizer?.enabled ? settings.optimizer.runs ?? 200 : null,
+      evmVersion: settings.evmVersion || null,
+      remappings: settings.remappings || [],
+      libraries: { ...flattenLibraries(settings.libraries), ...linked }
+    }
+  };
+};
+
+module.exports = {
+  VerificationError,
+  availableCompilers,
+  splitMetadata,
+  verifyContract
+};
@@ -0,0 +1,311 @@
+// Watchlist alerts. After the indexer commits a block, its activity is matched
+// against every active watchlist: coins received by the address (net of what
+// it spent in the same transaction), tokens transferred to it, and logs the
+// address emits. Only blocks indexed live, after the watchlist was created,
+// alert; a catch-up sync doesn't replay history. Matches are queued as webhook
+// deliveries and POSTed, retried with exponential backoff, and left as dead
+// letters once their attempts are used up.
+//
+// Each attempt carries X-Webhook-Timestamp (unix seconds) and
+// X-Webhook-Signature: "sha256=" + HMAC-SHA256 of "<timestamp>.<body>" with
+// the watchlist's secret. Receivers should check the signature and reject
+// timestamps more than SIGNATURE_TOLERANCE seconds from their clock, so a
+// captured delivery can't be replayed later.
+const crypto = require('crypto');
+const axios = require('axios');
+const { db, statements } = require('./db');
+
+const WATCH_TYPES = ['coin', 'token', 'log'];
+const SIGNATURE_TOLERANCE = 300;
+
+class WatchlistError extends Error {}
+
+// Hex (addresses, topics) is compared lowercase without 0x. Base58 addresses
+// are case sensitive and compared exactly.
+const normalize = (value) => {
+  const text = value || '';
+  return /^(0x)?[0-9a-fA-F]+$/.test(text) ? text.toLowerCase().replace(/^0x/, '') : text;
+};
+
+const hexPattern = /^(0x)?[0-9a-fA-F]{40}$/;
+
+// Value of the X-Webhook-Signature header
+const signPayload = (secret, timestamp, body) =>
+  'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Validate a new watchlist and store it with a fresh signing secret.
+// The address may be base58 or hex; both forms are kept for matching.
+const createWatchlist = async (rpc, { name, address, webhookUrl, types, minValue, token, eventTopic }) => {
+  if (typeof address !== 'string' || !address) throw new WatchlistError('address is required');
+
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch (e) {
+    throw new WatchlistError('webhookUrl must be a valid URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new WatchlistError('webhookUrl must be http or https');
+
+  const typeList = types === undefined || types === null
+    ? (eventTopic ? ['log'] : ['coin', 'token'])
+    : (Array.isArray(types) ? types : String(types).split(',')).map(t => t.trim());
+  if (typeList.length === 0 || typeList.some(t => !WATCH_TYPES.includes(t))) {
+    throw new WatchlistError(`types must be a list of ${WATCH_TYPES.join(', ')}`);
+  }
+
+  if (minValue !== undefined && minValue !== null && !/^\d+$/.test(String(minValue))) {
+    throw new WatchlistError('minValue must be a whole number of base units (satoshis for WTX)');
+  }
+  if (token && !hexPattern.test(token)) throw new WatchlistError('token must be a hex contract address');
+  if (eventTopic && !/^(0x)?[0-9a-fA-F]{64}$/.test(eventTopic)) throw new WatchlistError('eventTopic must be a 32 byte hex topic');
+
+  let base58 = null;
+  let hex = null;
+  if (hexPattern.test(address)) {
+    hex = normalize(address);
+    base58 = await rpc.fromHexAddress(hex).then(normalize).catch(() => null);
+  } else if (/^[1-9A-HJ-NP-Za-km-z]{25,40}$/.test(address)) {
+    base58 = address;
+    hex = await rpc.getHexAddress(address).then(normalize).catch(() => null);
+  } else {
+    throw new WatchlistError(`Invalid address ${address}`);
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const { lastInsertRowid } = statements.insertWatchlist.run(
+    name || null,
+    address,
+    base58,
+    hex,
+    url.toString(),
+    secret,
+    [...new Set(typeList)].join(','),
+    minValue !== undefined && minValue !== null ? String(minValue) : null,
+    token ? normalize(token) : null,
+    eventTopic ? normalize(eventTopic) : null,
+    parseInt(statements.getIndexerState.get('last_block')?.value ?? '-1')
+  );
+  return statements.getWatchlist.get(lastInsertRowid);
+};
+
+// Events of a committed block for each watchlist, as { watchlist, key, type,
+// txHash, data }. key is unique per watchlist, so a block that is indexed
+// again doesn't alert twice.
+const matchBlock = (height, watchlists) => {
+  const watching = (type) => watchlists.filter(w => w.types.split(',').includes(type));
+  const formsOf = (w) => [w.address_base58, w.address_hex].filter(Boolean);
+  const atLeast = (w, value) => !w.min_value || BigInt(value) >= BigInt(w.min_value);
+  const events = [];
+
+  const coinWatchers = watching('coin');
+  if (coinWatchers.length) {
+    // Net coins per (transaction, address), so change sent back isn't an alert
+    const net = new Map();
+    const add = (txHash, address, value) => {
+      const key = `${txHash}:${normalize(address)}`;
+      net.set(key, (net.get(key) || 0n) + BigInt(value));
+    };
+    statements.getBlockReceived.all(height).forEach(r => add(r.tx_hash, r.address, r.value));
+    statements.getBlockSpent.all(height).forEach(r => add(r.tx_hash, r.address, -BigInt(r.value)));
+
+    const txHashes = new Set([...net.keys()].map(key => key.split(':')[0]));
+    for (const w of coinWatchers) {
+      for (const txHash of txHashes) {
+        const value = formsOf(w).reduce((sum, form) => sum + (net.get(`${txHash}:${form}`) || 0n), 0n);
+        if (value > 0n && atLeast(w, value)) {
+          events.push({ watchlist: w, key: `coin:${txHash}`, type: 'coin', txHash, data: { value: value.toString() } });
+        }
+      }
+    }
+  }
+
+  const tokenWatchers = watching('token');
+  if (tokenWatchers.length) {
+    const transfers = [
+      ...statements.getBlockTokenTransfers.all(height).map(t => ({ ...t, standard: 'QRC-20', contract_address: t.token_address })),
+      ...statements.getBlockNftTransfers.all(height).map(t => ({ ...t, standard: 'QRC-721', value: '1' })),
+      ...statements.getBlockMultiTransfers.all(height).map(t => ({ ...t, standard: 'ERC-1155' }))
+    ];
+    for (const w of tokenWatchers) {
+      for (const transfer of transfers) {
+        if (normalize(transfer.to_address) !== w.address_hex) continue;
+        if (w.token_address && normalize(transfer.contract_address) !== w.token_address) continue;
+        if (!atLeast(w, transfer.value)) continue;
+        events.push({
+          watchlist: w,
+          key: `token:${transfer.tx_hash}:${transfer.log_index}:${transfer.batch_index ?? 0}`,
+          type: 'token',
+          txHash: transfer.tx_hash,
+          data: {
+            standard: transfer.standard,
+            token: '0x' + normalize(transfer.contract_address),
+            name: transfer.name,
+            symbol: transfer.symbol,
+            decimals: transfer.decimals,
+            tokenId: transfer.token_id,
+            from: transfer.from_address,
+            to: transfer.to_address,
+            value: transfer.value
+          }
+        });
+      }
+    }
+  }
+
+  const logWatchers = watching('log');
+  if (logWatchers.length) {
+    const logs = statements.getBlockLogs.all(height);
+    for (const w of logWatchers) {
+      for (const log of logs) {
+        if (normalize(log.address) !== w.address_hex) continue;
+        if (w.event_topic && log.topic0 !== w.event_topic) continue;
+        events.push({
+          watchlist: w,
+          key: `log:${log.tx_hash}:${log.log_index}`,
+          type: 'log',
+          txHash: log.tx_hash,
+          data: {
+            address: '0x' + log.address,
+            topics: [log.topic0, log.topic1, log.topic2, log.topic3].filter(Boolean),
+            data: log.data,
+            logIndex: log.log_index,
+            event: log.decoded_name || null,
+            args: log.decoded_args ? JSON.parse(log.decoded_args) : null
+          }
+        });
+      }
+    }
+  }
+
+  return events;
+};
+
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 6;
+    // Seconds before the first retry, doubled after every failed attempt
+    this.retryDelay = options.retryDelay ?? 30;
+    this.timeout = options.timeout || 10000; // ms per attempt
+    this.pollInterval = options.pollInterval || 5000; // ms between checks for due retries
+    this.batchSize = options.batchSize || 50;
+    this.timer = null;
+    this.delivering = null;
+  }
+
+  // Queue alerts for every block the indexer commits near the chain tip
+  listen(indexer) {
+    indexer.on('block', ({ height }) => {
+      if (!indexer.isLive(height)) return;
+      try {
+        if (this.queueBlock(height) > 0) this.deliverDue();
+      } catch (error) {
+        console.error('Watchlist matching error:', error.message);
+      }
+    });
+    indexer.on('reorg', ({ ancestor }) => statements.deletePendingDeliveriesAbove.run(ancestor));
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.deliverDue(), this.pollInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Returns how many deliveries were queued
+  queueBlock(height) {
+    const watchlists = statements.getActiveWatchlists.all(height);
+    if (watchlists.length === 0) return 0;
+
+    const block = statements.getBlock.get(height);
+    const events = matchBlock(height, watchlists);
+    let queued = 0;
+
+    db.transaction(() => {
+      for (const event of events) {
+        const payload = JSON.stringify({
+          id: event.key,
+          type: event.type,
+          watchlist: { id: event.watchlist.id, name: event.watchlist.name, address: event.watchlist.address },
+          block: { height, hash: block.hash, timestamp: block.timestamp },
+          txHash: event.txHash,
+          data: event.data
+        });
+        const { changes } = statements.insertDelivery.run(event.watchlist.id, event.key, event.type, height, payload, now());
+        queued += changes;
+      }
+    })();
+    return queued;
+  }
+
+  // POST everything that is due. Only one pass runs at a time; callers
+  // during a pass get that pass's promise.
+  deliverDue() {
+    if (!this.delivering) {
+      this.delivering = this.deliverPending()
+        .catch(error => console.error('Webhook delivery error:', error.message))
+        .finally(() => { this.delivering = null; });
+    }
+    return this.delivering;
+  }
+
+  async deliverPending() {
+    let due;
+    while ((due = statements.getDueDeliveries.all(now(), this.batchSize)).length > 0) {
+      for (const delivery of due) await this.deliver(delivery);
+    }
+  }
+
+  async deliver(delivery) {
+    let status = null;
+    let error;
+    try {
+      // Signed afresh on every attempt, so retries stay within the tolerance
+      const timestamp = now();
+      const response = await axios.post(delivery.webhook_url, delivery.payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': String(delivery.id),
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+        },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      status = response.status;
+      if (status >= 200 && status < 300) {
+        statements.setDeliveryDelivered.run(status, now(), delivery.id);
+        return;
+      }
+      error = `HTTP ${status}`;
+    } catch (e) {
+      error = e.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    if (attempts >= this.maxAttempts) {
+      console.warn(`Webhook delivery ${delivery.id} to ${delivery.webhook_url} failed ${attempts} times: ${error}`);
+      statements.setDeliveryFailed.run('dead', status, error, null, delivery.id);
+    } else {
+      const retryAt = now() + this.retryDelay * Math.pow(2, attempts - 1);
+      statements.setDeliveryFailed.run('pending', status, error, retryAt, delivery.id);
+    }
+  }
+}
+
+module.exports = {
+  SIGNATURE_TOLERANCE,
+  WatchlistError,
+  WebhookDispatcher,
+  createWatchlist,
+  matchBlock,
+  signPayload
+};
@@ -0,0 +1,94 @@
+const { makeChain, MockRPC, indexRange, resetDatabase } = require('./helpers/chain');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const apiRouter = require('../src/api');
+const Indexer = require('../src/indexer');
+
+const TOKEN = 'dd'.repeat(20);
+const MULTI = 'ab'.repeat(20);
+const HOLDER = 'ee'.repeat(20);
+const HOLDER_BASE58 = 'wHolderAddress111111111111111111';
+const SENDER = 'ff'.repeat(20);
+const TRANSFER_TOPIC = 'ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const TRANSFER_SINGLE_TOPIC = 'c3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62';
+
+const topic = (hex) => hex.padStart(64, '0');
+
+describe('address token balances', () => {
+  let app, server, base;
+
+  before(async () => {
+    app = express();
+    app.use('/api', apiRouter);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(() => server.close());
+
+  // Block 1 mints 500 of a QRC-20 token to SENDER, who sends all of it to
+  // HOLDER, and 3 of ERC-1155 id 7 to HOLDER
+  beforeEach(async () => {
+    resetDatabase();
+    const chain = makeChain(2);
+    chain[1].tx.push({
+      txid: 'mint',
+      vin: [{ txid: chain[0].tx[0].txid, vout: 0 }],
+      vout: [{ n: 0, value: 0, scriptPubKey: { type: 'call', asm: `4 250000 40 00 ${TOKEN} OP_CALL` } }]
+    });
+
+    const rpc = new MockRPC(chain);
+    rpc.receipts.mint = [{
+      gasUsed: 50000,
+      excepted: 'None',
+      outputIndex: 0,
+      log: [
+        { address: TOKEN, topics: [TRANSFER_TOPIC, topic('0'), topic(SENDER)], data: topic('1f4') },
+        { address: TOKEN, topics: [TRANSFER_TOPIC, topic(SENDER), topic(HOLDER)], data: topic('1f4') },
+        { address: MULTI, topics: [TRANSFER_SINGLE_TOPIC, topic(SENDER), topic('0'), topic(HOLDER)], data: topic('7') + topic('3') }
+      ]
+    }];
+    rpc.getTokenName = async () => 'Token';
+    rpc.getTokenSymbol = async () => 'TKN';
+    rpc.getTokenDecimals = async () => 0;
+    rpc.getTokenTotalSupply = async () => '500';
+    rpc.callContract = async () => ({ executionResult: { excepted: 'Revert', output: '' } });
+    rpc.getHexAddress = async (address) => {
+      if (address === HOLDER_BASE58) return HOLDER;
+      throw new Error('Invalid address');
+    };
+    rpc.getAddressInfo = async () => ({ isvalid: true });
+    rpc.getContractCode = async () => null;
+
+    await indexRange(new Indexer(rpc, { trace: false }), 0, 1);
+    app.locals.rpc = rpc;
+  });
+
+  const get = async (path) => {
+    const response = await fetch(base + path);
+    assert.strictEqual(response.status, 200);
+    return response.json();
+  };
+
+  it('finds the balances of a base58 address', async () => {
+    const { tokens, multiTokens } = await get(`/address/${HOLDER_BASE58}/tokens`);
+    assert.deepStrictEqual(tokens.map(t => [t.token_address, t.balance]), [[TOKEN, '500']]);
+    assert.deepStrictEqual(multiTokens.map(t => [t.contract_address, t.token_id, t.balance]), [[MULTI, '7', '3']]);
+
+    const { tokenBalances } = await get(`/address/${HOLDER_BASE58}`);
+    assert.deepStrictEqual(tokenBalances.map(t => t.balance), ['500']);
+  });
+
+  it('finds the balances of a bare hex address', async () => {
+    const { tokens, multiTokens } = await get(`/address/${HOLDER.toUpperCase()}/tokens`);
+    assert.deepStrictEqual(tokens.map(t => t.balance), ['500']);
+    assert.deepStrictEqual(multiTokens.map(t => t.balance), ['3']);
+  });
+
+  it('leaves out tokens the address no longer holds', async () => {
+    const { tokens } = await get(`/address/0x${SENDER}/tokens`);
+    assert.deepStrictEqual(tokens, []);
+  });
+});
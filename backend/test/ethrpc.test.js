@@ -0,0 +1,40 @@
+const { makeChain, MockRPC, indexRange, resetDatabase } = require('./helpers/chain');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const ethRpcRouter = require('../src/ethrpc');
+const Indexer = require('../src/indexer');
+
+describe('eth JSON-RPC', () => {
+  let server, url;
+
+  // The node is at 9 while only blocks 0-2 are indexed
+  before(async () => {
+    resetDatabase();
+    const rpc = new MockRPC(makeChain(10));
+    await indexRange(new Indexer(rpc, { trace: false }), 0, 2);
+
+    const app = express();
+    app.use(express.json());
+    app.locals.rpc = rpc;
+    app.use('/eth', ethRpcRouter);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/eth`;
+  });
+
+  after(() => server.close());
+
+  const call = async (method, params = []) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+    });
+    return (await response.json()).result;
+  };
+
+  it('reports the indexed tip as the block number', async () => {
+    assert.strictEqual(await call('eth_blockNumber'), '0x2');
+  });
+});
@@ -0,0 +1,81 @@
+process.env.RATE_LIMIT_ANONYMOUS = '4';
+require('./helpers/chain');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { WebSocket } = require('ws');
+const LiveFeed = require('../src/feed');
+
+const HEX = 'aa'.repeat(20);
+const BASE58 = 'wFeedTestAddress111111111111111';
+
+// Resolves with the next message, or the close code if the socket closes first
+const nextMessage = (ws) => new Promise(resolve => {
+  ws.once('message', data => resolve(JSON.parse(data)));
+  ws.once('close', code => resolve({ closed: code }));
+});
+
+describe('LiveFeed', () => {
+  let server, feed, url;
+  const lookups = [];
+  const rpc = {
+    fromHexAddress: async (hex) => { lookups.push(hex); return BASE58; },
+    getHexAddress: async (address) => { lookups.push(address); return HEX; }
+  };
+
+  before(async () => {
+    feed = new LiveFeed(rpc, { maxConnectionsPerIp: 2 });
+    server = http.createServer();
+    feed.attach(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}/ws`;
+  });
+
+  after(() => {
+    feed.close();
+    server.close();
+  });
+
+  const open = async () => {
+    const ws = new WebSocket(url);
+    await new Promise((resolve, reject) => { ws.once('open', resolve); ws.once('error', reject); });
+    return ws;
+  };
+
+  it('refuses connections beyond the per-IP limit', async () => {
+    const first = await open();
+    const second = await open();
+    const third = await open();
+    assert.deepStrictEqual(await nextMessage(third), { closed: 1008 });
+
+    // A closed connection frees its slot
+    first.close();
+    await new Promise(resolve => first.once('close', resolve));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const fourth = await open();
+    fourth.send(JSON.stringify({ op: 'ping' }));
+    assert.deepStrictEqual(await nextMessage(fourth), { op: 'pong' });
+
+    second.close();
+    fourth.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+  });
+
+  it('charges subscribes to the rate limit and looks each address up once', async () => {
+    const ws = await open();
+    const subscribe = (channel) => {
+      ws.send(JSON.stringify({ op: 'subscribe', channel }));
+      return nextMessage(ws);
+    };
+
+    // Address subscribes cost 2 of the 4 credits
+    assert.strictEqual((await subscribe(`address:0x${HEX}`)).op, 'subscribed');
+    assert.strictEqual((await subscribe(`address:0x${HEX}`)).op, 'subscribed');
+    assert.deepStrictEqual(lookups, [HEX]);
+
+    const refused = await subscribe('newBlock');
+    assert.strictEqual(refused.op, 'error');
+    assert.strictEqual(refused.error, 'Rate limit exceeded');
+    ws.close();
+  });
+});
@@ -0,0 +1,110 @@
+// A fake WATTx node for indexer tests. Blocks are plain getblock (verbosity 2)
+// objects; each has a coinbase paying MINER unless the test adds its own txs.
+// Require this before anything from src, so the database is in memory.
+process.env.DB_PATH = ':memory:';
+
+const { db } = require('../../src/db');
+
+const MINER = 'wMinerAddress1111111111111111111';
+
+// 64 hex chars, unique per (height, tag)
+const hash = (n, tag = 'a') => (tag + n.toString(16)).padStart(64, '0');
+
+// Extend base to len blocks; blocks added here are marked with tag, so two
+// chains built from the same base with different tags fork after it
+const makeChain = (len, tag = 'a', base = []) => {
+  const blocks = base.slice();
+  for (let i = blocks.length; i < len; i++) {
+    blocks.push({
+      hash: hash(i, tag),
+      height: i,
+      previousblockhash: i ? blocks[i - 1].hash : undefined,
+      time: 1700000000 + i * 60,
+      size: 100,
+      flags: 'proof-of-work',
+      difficulty: 1,
+      nonce: 0,
+      tx: [{
+        txid: hash(i, 'c' + tag),
+        vin: [{ coinbase: '00' }],
+        vout: [{ n: 0, value: 4, scriptPubKey: { type: 'pubkeyhash', address: MINER } }]
+      }]
+    });
+  }
+  return blocks;
+};
+
+class MockRPC {
+  constructor(chain) {
+    this.chain = chain;
+    this.receipts = {};
+  }
+
+  async getBlockCount() {
+    return this.chain.length - 1;
+  }
+
+  async getBlockHash(height) {
+    if (!this.chain[height]) throw new Error('Block height out of range');
+    return this.chain[height].hash;
+  }
+
+  async getBestBlockHash() {
+    return this.chain[this.chain.length - 1].hash;
+  }
+
+  async getBlock(id) {
+    const block = typeof id === 'number' ? this.chain[id] : this.chain.find(b => b.hash === id);
+    return block && JSON.parse(JSON.stringify(block));
+  }
+
+  async getTransactionReceipt(txid) {
+    return this.receipts[txid] || [];
+  }
+
+  async getTransaction(txid) {
+    for (const block of this.chain) {
+      const tx = block.tx.find(t => t.txid === txid);
+      if (tx) return tx;
+    }
+    throw new Error('No such transaction');
+  }
+
+  async call(method) {
+    throw new Error(`Method not found: ${method}`);
+  }
+
+  async batch(calls) {
+    const methods = { getblockhash: 'getBlockHash', gettransactionreceipt: 'getTransactionReceipt', getblock: 'getBlock' };
+    return Promise.all(calls.map(([method, params]) => this[methods[method]](...params)));
+  }
+}
+
+// Index chain heights start..end without the polling loop
+const indexRange = async (indexer, start, end) => {
+  indexer.isRunning = true;
+  try {
+    await indexer.syncRange(start, end);
+  } finally {
+    indexer.isRunning = false;
+  }
+};
+
+// Empty every table of the (in-memory) test database
+const resetDatabase = () => {
+  const tables = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`).all();
+  db.pragma('foreign_keys = OFF');
+  db.transaction(() => {
+    for (const { name } of tables) db.exec(`DELETE FROM ${name}`);
+  })();
+  db.pragma('foreign_keys = ON');
+};
+
+module.exports = {
+  MINER,
+  hash,
+  makeChain,
+  MockRPC,
+  indexRange,
+  resetDatabase
+};
@@ -0,0 +1,157 @@
+const { MINER, hash, makeChain, MockRPC, indexRange, resetDatabase } = require('./helpers/chain');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { db, statements } = require('../src/db');
+const Indexer = require('../src/indexer');
+
+const reorgCount = () => db.prepare('SELECT COUNT(*) as n FROM reorgs').get().n;
+
+describe('checkTip', () => {
+  let chain, rpc, indexer;
+
+  beforeEach(async () => {
+    resetDatabase();
+    chain = makeChain(5);
+    rpc = new MockRPC(chain);
+    indexer = new Indexer(rpc, { trace: false });
+    await indexRange(indexer, 0, 4);
+  });
+
+  it('keeps our blocks when the node is behind on the same chain', async () => {
+    rpc.chain = chain.slice(0, 3);
+
+    assert.strictEqual(await indexer.checkTip(4, 2), false);
+    assert.strictEqual(indexer.getLastIndexedBlock(), 4);
+    assert.strictEqual(statements.getBlock.get(4).hash, chain[4].hash);
+    assert.strictEqual(reorgCount(), 0);
+  });
+
+  it('rolls back to the common ancestor on a fork of the same height', async () => {
+    rpc.chain = makeChain(5, 'b', chain.slice(0, 3));
+
+    assert.strictEqual(await indexer.checkTip(4, 4), true);
+    assert.strictEqual(indexer.getLastIndexedBlock(), 2);
+    assert.strictEqual(statements.getBlock.get(3), undefined);
+    const reorg = db.prepare('SELECT * FROM reorgs').get();
+    assert.strictEqual(reorg.fork_height, 2);
+    assert.strictEqual(reorg.depth, 2);
+  });
+
+  it('rolls back when a node behind us has a different block at its height', async () => {
+    rpc.chain = makeChain(4, 'b', chain.slice(0, 2));
+
+    assert.strictEqual(await indexer.checkTip(4, 3), true);
+    assert.strictEqual(indexer.getLastIndexedBlock(), 1);
+    assert.strictEqual(reorgCount(), 1);
+
+    await indexRange(indexer, 2, 3);
+    assert.strictEqual(statements.getBlock.get(3).hash, rpc.chain[3].hash);
+  });
+});
+
+describe('addresses', () => {
+  it('stores base58 addresses with their case', async () => {
+    resetDatabase();
+    const indexer = new Indexer(new MockRPC(makeChain(2)), { trace: false });
+    await indexRange(indexer, 0, 1);
+
+    assert.strictEqual(statements.getTxOutputs.all(hash(1, 'ca'))[0].address, MINER);
+    assert.strictEqual(statements.getBlock.get(1).miner, MINER);
+  });
+});
+
+describe('blockReward', () => {
+  it('leaves gas refunds out of the reward and fees', async () => {
+    resetDatabase();
+    const contract = 'ab'.repeat(20);
+    const chain = makeChain(3);
+    const block = chain[2];
+
+    // The caller spends 4 WTX: 1 to the contract, 2.8 back, 0.2 fee of which
+    // 0.1 is gas (250000 at 40). 200000 gas goes unused and 0.08 comes back
+    // to it in the coinbase.
+    block.tx[0].vout.push({ n: 1, value: 0.08, scriptPubKey: { type: 'pubkeyhash', address: MINER } });
+    block.tx.push({
+      txid: 'call',
+      vin: [{ txid: chain[1].tx[0].txid, vout: 0 }],
+      vout: [
+        { n: 0, value: 1, scriptPubKey: { type: 'call', asm: `4 250000 40 a9059cbb ${contract} OP_CALL` } },
+        { n: 1, value: 2.8, scriptPubKey: { type: 'pubkeyhash', address: MINER } }
+      ]
+    });
+
+    const rpc = new MockRPC(chain);
+    rpc.receipts.call = [{ gasUsed: 50000, excepted: 'None', outputIndex: 0, log: [] }];
+    const indexer = new Indexer(rpc, { trace: false });
+    await indexRange(indexer, 0, 2);
+
+    const stored = statements.getBlock.get(2);
+    assert.strictEqual(stored.refunds, '8000000');
+    assert.strictEqual(stored.fees, '12000000');
+    assert.strictEqual(stored.block_reward, '400000000');
+  });
+});
+
+describe('token URIs', () => {
+  it('reads tokenURI and uri(id) when an id is first indexed', async () => {
+    resetDatabase();
+    const nft = 'aa'.repeat(20);
+    const multi = 'bb'.repeat(20);
+    const topic = (value) => value.toString(16).padStart(64, '0');
+    const chain = makeChain(3);
+
+    // One tx mints QRC-721 token 7 and 5 of ERC-1155 id 9
+    chain[2].tx.push({
+      txid: 'mint',
+      vin: [{ txid: chain[1].tx[0].txid, vout: 0 }],
+      vout: [{ n: 0, value: 0, scriptPubKey: { type: 'call', asm: `4 250000 40 00 ${nft} OP_CALL` } }]
+    });
+
+    const rpc = new MockRPC(chain);
+    rpc.receipts.mint = [{
+      gasUsed: 250000,
+      excepted: 'None',
+      outputIndex: 0,
+      log: [
+        {
+          address: nft,
+          topics: ['ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef', topic(0), topic(1), topic(7)],
+          data: ''
+        },
+        {
+          address: multi,
+          topics: ['c3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62', topic(1), topic(0), topic(1)],
+          data: topic(9) + topic(5)
+        }
+      ]
+    }];
+
+    const abi = new ethers.Interface([
+      'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+      'function tokenURI(uint256 tokenId) view returns (string)',
+      'function uri(uint256 id) view returns (string)'
+    ]);
+    const calls = [];
+    rpc.getTokenName = async () => 'Token';
+    rpc.getTokenSymbol = async () => 'TKN';
+    rpc.getTokenDecimals = async () => 0;
+    rpc.getTokenTotalSupply = async () => '0';
+    rpc.callContract = async (address, data) => {
+      const call = abi.parseTransaction({ data: '0x' + data });
+      calls.push(call.name);
+      let output;
+      if (call.name === 'tokenURI') output = abi.encodeFunctionResult('tokenURI', [`ipfs://token/${call.args[0]}`]);
+      else if (call.name === 'uri') output = abi.encodeFunctionResult('uri', ['ipfs://multi/{id}']);
+      else output = abi.encodeFunctionResult('supportsInterface', [false]);
+      return { executionResult: { output: output.slice(2), excepted: 'None' } };
+    };
+
+    const indexer = new Indexer(rpc, { trace: false });
+    await indexRange(indexer, 0, 2);
+
+    assert.strictEqual(statements.getNftToken.get(nft, '7').token_uri, 'ipfs://token/7');
+    assert.strictEqual(statements.getMultiToken.get(multi, '9').uri, `ipfs://multi/${topic(9)}`);
+    assert.deepStrictEqual(calls.filter(name => name !== 'supportsInterface'), ['tokenURI', 'uri']);
+  });
+});
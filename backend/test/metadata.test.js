@@ -0,0 +1,54 @@
+require('./helpers/chain');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const solc = require('solc');
+const { verifyWithMetadata } = require('../src/metadata');
+
+const SOURCE = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+contract Counter {
+  uint256 public count;
+  function increment() external { count += 1; }
+}
+`;
+
+const ADDRESS = 'ab'.repeat(20);
+
+const build = (source) => {
+  const input = {
+    language: 'Solidity',
+    sources: { 'Counter.sol': { content: source } },
+    settings: { optimizer: { enabled: true, runs: 200 }, outputSelection: { '*': { '*': ['metadata', 'evm.deployedBytecode.object'] } } }
+  };
+  const contract = JSON.parse(solc.compile(JSON.stringify(input))).contracts['Counter.sol'].Counter;
+  return { metadata: contract.metadata, code: contract.evm.deployedBytecode.object };
+};
+
+describe('verifyWithMetadata', () => {
+  const deployed = build(SOURCE);
+  const edited = build(SOURCE + '// edited comment\n');
+  const rpc = { getContractCode: async () => deployed.code };
+
+  it('gives a full match for the deployed metadata and sources', async () => {
+    const result = await verifyWithMetadata(rpc, { address: ADDRESS, metadata: deployed.metadata, sources: { 'Counter.sol': SOURCE } });
+    assert.strictEqual(result.matchType, 'full');
+    assert.strictEqual(result.hashType, 'ipfs');
+  });
+
+  it('falls back to a partial match when the metadata hash differs', async () => {
+    const result = await verifyWithMetadata(rpc, {
+      address: ADDRESS,
+      metadata: edited.metadata,
+      sources: { 'Counter.sol': SOURCE + '// edited comment\n' }
+    });
+    assert.strictEqual(result.matchType, 'partial');
+  });
+
+  it('rejects when the code without metadata differs too', async () => {
+    const metadata = edited.metadata.replace('"enabled":true', '"enabled":false');
+    await assert.rejects(
+      verifyWithMetadata(rpc, { address: ADDRESS, metadata, sources: { 'Counter.sol': SOURCE + '// edited comment\n' } }),
+      { message: 'Bytecode does not match' }
+    );
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const RPCPool = require('../src/rpcpool');
+
+// JSON-RPC node answering getblockcount with height, or never answering at all
+const startNode = async (height, { stalled = false } = {}) => {
+  const node = { height, requests: 0 };
+  node.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      node.requests++;
+      if (stalled) return;
+      const { id } = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result: node.height, error: null }));
+    });
+  });
+  await new Promise(resolve => node.server.listen(0, '127.0.0.1', resolve));
+  node.url = `http://127.0.0.1:${node.server.address().port}`;
+  return node;
+};
+
+const stopNode = (node) => {
+  node.server.closeAllConnections();
+  node.server.close();
+};
+
+describe('RPCPool', () => {
+  let stalled, healthy;
+
+  before(async () => {
+    stalled = await startNode(100, { stalled: true });
+    healthy = await startNode(100);
+  });
+
+  after(() => {
+    stopNode(stalled);
+    stopNode(healthy);
+  });
+
+  it('fails over after the first timeout instead of retrying the stalled node', async () => {
+    const pool = new RPCPool([stalled.url, healthy.url], { timeout: 200, retries: 3 });
+
+    const started = Date.now();
+    assert.strictEqual(await pool.call('getblockcount'), 100);
+    assert.ok(Date.now() - started < 1000, 'took longer than one timeout');
+    assert.strictEqual(stalled.requests, 1);
+    assert.strictEqual(pool.getNodeStatus()[0].healthy, false);
+  });
+
+  it('keeps retrying a lone node', async () => {
+    const lone = await startNode(5, { stalled: true });
+    const pool = new RPCPool([lone.url], { timeout: 100, retries: 2, retryDelay: 10 });
+
+    await assert.rejects(pool.call('getblockcount'), { name: 'NodeUnreachableError' });
+    assert.strictEqual(lone.requests, 3);
+    stopNode(lone);
+  });
+
+  it('pins the same node until it falls out of sync', async () => {
+    const other = await startNode(100);
+    const pool = new RPCPool([healthy.url, other.url]);
+    await pool.checkHealth();
+
+    const first = pool.pinned();
+    assert.strictEqual(pool.pinned(), first);
+
+    // The pinned node falls behind by more than maxLag
+    const [pinnedNode, otherNode] = first === pool.nodes[0].rpc ? [healthy, other] : [other, healthy];
+    pinnedNode.height = 90;
+    otherNode.height = 101;
+    await pool.checkHealth();
+    assert.notStrictEqual(pool.pinned(), first);
+
+    pinnedNode.height = 100;
+    stopNode(other);
+  });
+});
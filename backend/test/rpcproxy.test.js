@@ -0,0 +1,17 @@
+require('./helpers/chain');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { checkCall } = require('../src/rpcproxy');
+
+describe('checkCall', () => {
+  it('caps the block range of public searchlogs calls', () => {
+    assert.strictEqual(checkCall('searchlogs', [1000, 1999], false), 'searchlogs');
+    assert.throws(() => checkCall('searchlogs', [0, 1000], false), { status: 400 });
+    assert.throws(() => checkCall('searchlogs', [0, 5000000, { addresses: [] }], false), { status: 400 });
+    assert.throws(() => checkCall('searchlogs', [10, 5], false), { status: 400 });
+  });
+
+  it('lets admins search any range', () => {
+    assert.strictEqual(checkCall('searchlogs', [0, 5000000], true), 'searchlogs');
+  });
+});
@@ -0,0 +1,45 @@
+require('./helpers/chain');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { VerificationError, availableCompilers, verifyContract } = require('../src/verifier');
+
+const SOURCE = `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+contract Counter {
+  uint256 public count;
+  function increment() external { count += 1; }
+}
+`;
+
+const rpc = { getContractCode: async () => '6080604052' };
+
+const verify = () => verifyContract(rpc, {
+  address: 'ab'.repeat(20),
+  sourceCode: SOURCE,
+  compilerVersion: availableCompilers()[0]
+});
+
+describe('verifyContract', () => {
+  it('compiles off the main thread', async () => {
+    let ticks = 0;
+    const timer = setInterval(() => { ticks++; }, 10);
+    const started = Date.now();
+    try {
+      await assert.rejects(verify(), (error) =>
+        error instanceof VerificationError && error.message === 'Bytecode does not match');
+    } finally {
+      clearInterval(timer);
+    }
+    // Timers kept firing for most of the compile
+    assert.ok(ticks >= (Date.now() - started) / 10 / 2, `only ${ticks} ticks`);
+  });
+
+  it('queues compiles beyond the concurrency limit', async () => {
+    const results = await Promise.allSettled([verify(), verify()]);
+    for (const result of results) {
+      assert.strictEqual(result.status, 'rejected');
+      assert.strictEqual(result.reason.message, 'Bytecode does not match');
+    }
+  });
+});
@@ -0,0 +1,127 @@
+const { MINER, makeChain, MockRPC, indexRange, resetDatabase } = require('./helpers/chain');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { db } = require('../src/db');
+const Indexer = require('../src/indexer');
+const { SIGNATURE_TOLERANCE, WebhookDispatcher, createWatchlist } = require('../src/webhooks');
+
+const MINER_HEX = 'cc'.repeat(20);
+
+const deliveries = () => db.prepare('SELECT * FROM webhook_deliveries ORDER BY id').all();
+
+// Pretend every queued retry is due now
+const makeDue = () => db.prepare(`UPDATE webhook_deliveries SET next_attempt_at = 0 WHERE status = 'pending'`).run();
+
+describe('WebhookDispatcher', () => {
+  let receiver, url, chain, rpc, indexer, dispatcher, watchlist;
+
+  // Records each POST and answers with receiver.status
+  before(async () => {
+    receiver = { status: 200, requests: [] };
+    receiver.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        receiver.requests.push({ headers: req.headers, body });
+        res.statusCode = receiver.status;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+  });
+
+  after(() => receiver.server.close());
+
+  // Watch the miner from block 1 on, after block 0 is indexed
+  beforeEach(async () => {
+    // Let the last test's delivery pass finish before clearing its records
+    await dispatcher?.delivering;
+    resetDatabase();
+    receiver.status = 200;
+    receiver.requests = [];
+
+    chain = makeChain(4);
+    rpc = new MockRPC(chain);
+    rpc.getHexAddress = async () => MINER_HEX;
+    indexer = new Indexer(rpc, { trace: false });
+    dispatcher = new WebhookDispatcher({ maxAttempts: 3, retryDelay: 60, timeout: 2000 });
+    dispatcher.listen(indexer);
+
+    await indexRange(indexer, 0, 0);
+    watchlist = await createWatchlist(rpc, { address: MINER, webhookUrl: url, types: ['coin'] });
+  });
+
+  it('signs the timestamp and body of each delivery', async () => {
+    await indexRange(indexer, 1, 1);
+    await dispatcher.deliverDue();
+
+    assert.strictEqual(receiver.requests.length, 1);
+    const { headers, body } = receiver.requests[0];
+    const timestamp = parseInt(headers['x-webhook-timestamp']);
+    assert.ok(Math.abs(Date.now() / 1000 - timestamp) <= SIGNATURE_TOLERANCE);
+
+    const expected = 'sha256=' + crypto.createHmac('sha256', watchlist.secret).update(`${timestamp}.${body}`).digest('hex');
+    assert.strictEqual(headers['x-webhook-signature'], expected);
+    assert.strictEqual(JSON.parse(body).block.height, 1);
+    assert.strictEqual(deliveries()[0].status, 'delivered');
+  });
+
+  it('only alerts for blocks after the watchlist was created', async () => {
+    // Block 0 was indexed before the watchlist existed
+    assert.strictEqual(dispatcher.queueBlock(0), 0);
+
+    await indexRange(indexer, 1, 1);
+    assert.deepStrictEqual(deliveries().map(d => d.block_height), [1]);
+  });
+
+  it('skips blocks of a catch-up sync', async () => {
+    indexer.chainHeight = 1000;
+    await indexRange(indexer, 1, 3);
+    assert.strictEqual(deliveries().length, 0);
+  });
+
+  it('retries with backoff and dead-letters after the last attempt', async () => {
+    receiver.status = 500;
+    await indexRange(indexer, 1, 1);
+
+    const started = Math.floor(Date.now() / 1000);
+    await dispatcher.deliverDue();
+    let [delivery] = deliveries();
+    assert.strictEqual(delivery.status, 'pending');
+    assert.strictEqual(delivery.attempts, 1);
+    assert.strictEqual(delivery.last_status, 500);
+    assert.ok(delivery.next_attempt_at >= started + 60 && delivery.next_attempt_at <= started + 61);
+
+    // Not due yet
+    await dispatcher.deliverDue();
+    assert.strictEqual(receiver.requests.length, 1);
+
+    makeDue();
+    await dispatcher.deliverDue();
+    [delivery] = deliveries();
+    assert.strictEqual(delivery.attempts, 2);
+    assert.ok(delivery.next_attempt_at >= started + 120);
+
+    makeDue();
+    await dispatcher.deliverDue();
+    [delivery] = deliveries();
+    assert.strictEqual(delivery.status, 'dead');
+    assert.strictEqual(delivery.attempts, 3);
+    assert.strictEqual(receiver.requests.length, 3);
+  });
+
+  it('cancels pending alerts for blocks a reorg removed', async () => {
+    receiver.status = 500;
+    await indexRange(indexer, 1, 3);
+    await dispatcher.deliverDue();
+    assert.deepStrictEqual(deliveries().map(d => d.block_height), [1, 2, 3]);
+
+    // The node switches to a branch forking after block 1
+    rpc.chain = makeChain(4, 'b', chain.slice(0, 2));
+    assert.strictEqual(await indexer.checkTip(3, 3), true);
+    assert.deepStrictEqual(deliveries().map(d => d.block_height), [1]);
+  });
+});
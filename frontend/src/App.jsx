@@ -3,6 +3,29 @@ import { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 
 const API_URL = window.location.hostname === 'localhost' ? 'http://localhost:3001/api' : '/api';
+const WS_URL = window.location.hostname === 'localhost'
+  ? 'ws://localhost:3001/ws'
+  : `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/ws`;
+
+// Subscribe to live feed channels; onEvent gets each { id, channel, data }.
+// onStatus(true/false) reports whether the feed is connected. Returns a
+// function that closes it.
+const openLiveFeed = (channels, onEvent, onStatus = () => {}) => {
+  const socket = new WebSocket(WS_URL);
+  socket.onopen = () => {
+    channels.forEach(channel => socket.send(JSON.stringify({ op: 'subscribe', channel })));
+    onStatus(true);
+  };
+  socket.onmessage = (event) => {
+    const message = JSON.parse(event.data);
+    if (message.channel) onEvent(message);
+  };
+  socket.onclose = () => onStatus(false);
+  return () => {
+    socket.onclose = null;
+    socket.close();
+  };
+};
 
 // Utility functions
 const truncateHash = (hash, chars = 8) => {
@@ -138,9 +161,17 @@ function HomePage() {
       }
     };
 
+    // Refresh on each new block while the live feed is up, poll otherwise
     fetchData();
-    const interval = setInterval(fetchData, 10000);
-    return () => clearInterval(interval);
+    let interval = setInterval(fetchData, 10000);
+    const closeFeed = openLiveFeed(['newBlock'], fetchData, (connected) => {
+      clearInterval(interval);
+      interval = connected ? null : setInterval(fetchData, 10000);
+    });
+    return () => {
+      clearInterval(interval);
+      closeFeed();
+    };
   }, []);
 
   if (loading) {
@@ -307,6 +338,24 @@ function BlockPage() {
             <p className="text-gray-500 text-sm">Size</p>
             <p>{formatNumber(block.size)} bytes</p>
           </div>
+          <div>
+            <p className="text-gray-500 text-sm">{block.is_pos ? 'Staked By' : 'Mined By'}</p>
+            {block.miner ? (
+              <Link to={`/address/${block.miner}`} className="font-mono text-sm text-emerald-400 break-all">{block.miner}</Link>
+            ) : <span className="text-gray-400">-</span>}
+          </div>
+          <div>
+            <p className="text-gray-500 text-sm">Block Reward</p>
+            <p>{formatWTX(block.block_reward)} WTX {block.fees && block.fees !== '0' && (
+              <span className="text-gray-500 text-sm">(incl. {formatWTX(block.fees)} WTX fees)</span>
+            )}</p>
+          </div>
+          {block.refunds && block.refunds !== '0' && (
+            <div>
+              <p className="text-gray-500 text-sm">Gas Refunds</p>
+              <p>{formatWTX(block.refunds)} WTX <span className="text-gray-500 text-sm">(paid back to contract callers, not part of the reward)</span></p>
+            </div>
+          )}
         </div>
       </div>
 
@@ -349,12 +398,76 @@ function BlockPage() {
   );
 }
 
+// Decoded Arguments (call data and event logs)
+function DecodedArgs({ args }) {
+  return (
+    <table className="mt-2 text-xs font-mono">
+      <tbody>
+        {args.map((arg, i) => (
+          <tr key={i}>
+            <td className="pr-4 text-gray-500 align-top">{arg.name || `arg${i}`}</td>
+            <td className="pr-4 text-gray-500 align-top">{arg.type}</td>
+            <td className="break-all">{typeof arg.value === 'object' ? JSON.stringify(arg.value) : String(arg.value)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Internal Transactions (contract payments, gas refunds and traced calls)
+const internalTxLabel = (itx) => {
+  if (itx.type === 'transfer') return 'Contract payment';
+  if (itx.type === 'refund') return 'Gas refund';
+  return `${itx.type.toUpperCase()} ${itx.trace_address}`;
+};
+
+function InternalTransactions({ items }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full">
+        <thead>
+          <tr className="border-b">
+            <th className="py-2 text-left">Type</th>
+            <th className="py-2 text-left">Parent Tx</th>
+            <th className="py-2 text-left">From</th>
+            <th className="py-2 text-left">To</th>
+            <th className="py-2 text-left">Value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((itx) => (
+            <tr key={itx.id} className={`border-b hover:bg-[#222838] ${itx.error ? 'text-red-400' : ''}`}>
+              <td className="py-2 text-sm">{internalTxLabel(itx)}</td>
+              <td className="py-2 font-mono text-sm">
+                <Link to={`/tx/${itx.tx_hash}`} className="text-[#D4A826]">{truncateHash(itx.tx_hash)}</Link>
+              </td>
+              <td className="py-2 font-mono text-sm">
+                {itx.from_address ? (
+                  <Link to={`/address/${itx.from_address}`} className="text-emerald-400">{truncateHash(itx.from_address)}</Link>
+                ) : <span className="text-gray-400">-</span>}
+              </td>
+              <td className="py-2 font-mono text-sm">
+                {itx.to_address ? (
+                  <Link to={`/address/${itx.to_address}`} className="text-emerald-400">{truncateHash(itx.to_address)}</Link>
+                ) : <span className="text-gray-400">-</span>}
+              </td>
+              <td className="py-2">{formatWTX(itx.value)} WTX</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 // Transaction Page
 function TransactionPage() {
   const { hash } = useParams();
   const [tx, setTx] = useState(null);
   const [logs, setLogs] = useState([]);
   const [transfers, setTransfers] = useState([]);
+  const [internalTxs, setInternalTxs] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -364,6 +477,7 @@ function TransactionPage() {
         setTx(res.data.transaction);
         setLogs(res.data.logs || []);
         setTransfers(res.data.transfers || []);
+        setInternalTxs(res.data.internalTransactions || []);
       } catch (error) {
         console.error('Error fetching transaction:', error);
       } finally {
@@ -388,7 +502,11 @@ function TransactionPage() {
           </div>
           <div>
             <p className="text-gray-500 text-sm">Block</p>
-            <Link to={`/block/${tx.block_height}`} className="text-[#D4A826] font-medium">{formatNumber(tx.block_height)}</Link>
+            {tx.pending ? (
+              <span className="px-2 py-1 rounded text-xs font-medium bg-yellow-100 text-yellow-800">Pending (in mempool)</span>
+            ) : (
+              <Link to={`/block/${tx.block_height}`} className="text-[#D4A826] font-medium">{formatNumber(tx.block_height)}</Link>
+            )}
           </div>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div>
@@ -408,6 +526,34 @@ function TransactionPage() {
             <p className="text-gray-500 text-sm">Value</p>
             <p className="font-medium">{formatWTX(tx.value)} WTX</p>
           </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <p className="text-gray-500 text-sm">Status</p>
+              <span className={`px-2 py-1 rounded text-xs font-medium ${tx.status === 0 ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+                {tx.status === 0 ? 'Reverted' : 'Success'}
+              </span>
+            </div>
+            <div>
+              <p className="text-gray-500 text-sm">Fee</p>
+              <p>{formatWTX(tx.fee)} WTX</p>
+            </div>
+            {tx.gas && tx.gas !== '0' && (
+              <div>
+                <p className="text-gray-500 text-sm">Gas Used / Limit</p>
+                <p>{formatNumber(parseInt(tx.gas_used))} / {formatNumber(parseInt(tx.gas))} @ {tx.gas_price} sat</p>
+              </div>
+            )}
+          </div>
+          {tx.decoded_input && (
+            <div>
+              <p className="text-gray-500 text-sm">Method</p>
+              <p className="font-mono text-sm">
+                {tx.decoded_input.signature}
+                {tx.decoded_input.source === 'signatures' && <span className="ml-2 text-xs text-gray-500">(guessed from known signatures)</span>}
+              </p>
+              <DecodedArgs args={tx.decoded_input.args} />
+            </div>
+          )}
         </div>
       </div>
 
@@ -428,18 +574,30 @@ function TransactionPage() {
         </div>
       )}
 
+      {internalTxs.length > 0 && (
+        <div className="card mb-6">
+          <h2 className="text-xl font-bold mb-4">Internal Transactions ({internalTxs.length})</h2>
+          <InternalTransactions items={internalTxs} />
+        </div>
+      )}
+
       {logs.length > 0 && (
         <div className="card">
           <h2 className="text-xl font-bold mb-4">Event Logs ({logs.length})</h2>
           {logs.map((log, i) => (
             <div key={i} className="border-b py-4 last:border-0">
-              <p className="text-sm text-gray-500">Log #{log.log_index}</p>
+              <p className="text-sm text-gray-500">
+                Log #{log.log_index}
+                {log.decoded_name && <span className="ml-2 font-medium text-[#D4A826]">{log.decoded_name}</span>}
+                {log.decoded_source === 'signatures' && <span className="ml-2 text-xs">(guessed from known signatures)</span>}
+              </p>
               <p className="font-mono text-sm">Contract: <Link to={`/address/${log.address}`} className="text-[#D4A826]">{truncateHash(log.address, 12)}</Link></p>
               <div className="mt-2 bg-[#161b26] p-2 rounded text-xs font-mono overflow-x-auto">
                 {[log.topic0, log.topic1, log.topic2, log.topic3].filter(Boolean).map((t, j) => (
                   <div key={j} className="text-gray-600">[{j}] {t}</div>
                 ))}
               </div>
+              {log.decoded_args && <DecodedArgs args={log.decoded_args} />}
             </div>
           ))}
         </div>
@@ -462,6 +620,9 @@ function ContractPage() {
   const [rawCallResult, setRawCallResult] = useState(null);
   const [rawCallLoading, setRawCallLoading] = useState(false);
 
+  // Source file shown in the code tab
+  const [activeFile, setActiveFile] = useState(null);
+
   // Storage state
   const [storageSlot, setStorageSlot] = useState('0');
   const [storageValue, setStorageValue] = useState(null);
@@ -544,6 +705,8 @@ function ContractPage() {
   if (loading) return <div className="container mx-auto px-4 py-8">Loading...</div>;
   if (!contract) return <div className="container mx-auto px-4 py-8">Contract not found</div>;
 
+  const shownFile = activeFile || contract.sourcePath || contract.files?.[0]?.path;
+
   return (
     <div className="container mx-auto px-4 py-8">
       <h1 className="text-2xl font-bold mb-2">Smart Contract</h1>
@@ -569,7 +732,21 @@ function ContractPage() {
             <span className={`px-2 py-1 rounded text-xs ${contract.verified ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
               {contract.verified ? '✓ Verified' : 'Not Verified'}
             </span>
+            {contract.matchType && (
+              <span className={`ml-2 px-2 py-1 rounded text-xs ${contract.matchType === 'full' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                {contract.matchType === 'full' ? 'Full Match' : 'Partial Match'}
+              </span>
+            )}
           </div>
+          {contract.metadata && (
+            <div>
+              <p className="text-gray-500 text-sm">Metadata Hash</p>
+              <p className="font-mono text-xs break-all">
+                {contract.metadata.ipfs ? `ipfs://${contract.metadata.ipfs}` : contract.metadata.bzzr1 ? `bzzr1://${contract.metadata.bzzr1}` : contract.metadata.bzzr0 ? `bzzr0://${contract.metadata.bzzr0}` : 'N/A'}
+                {contract.metadata.solc && <span className="text-gray-500"> (solc {contract.metadata.solc})</span>}
+              </p>
+            </div>
+          )}
           {contract.name && (
             <div>
               <p className="text-gray-500 text-sm">Contract Name</p>
@@ -834,12 +1011,20 @@ function ContractPage() {
             {contract.bytecode}
           </div>
 
-          {contract.sourceCode && (
+          {contract.files?.length > 0 && (
             <div className="mt-6">
-              <h2 className="text-lg font-bold mb-4">Source Code</h2>
-              <pre className="bg-gray-900 text-gray-100 p-4 rounded font-mono text-xs overflow-x-auto max-h-96">
-                {contract.sourceCode}
-              </pre>
+              <h2 className="text-lg font-bold mb-4">Source Code ({contract.files.length} {contract.files.length === 1 ? 'file' : 'files'})</h2>
+              <div className="flex gap-4">
+                <div className="w-64 shrink-0 bg-gray-100 p-2 rounded text-sm overflow-auto max-h-96">
+                  <SourceFileTree nodes={contract.fileTree} activeFile={shownFile} onSelect={setActiveFile} />
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="font-mono text-xs text-gray-500 mb-1">{shownFile}</div>
+                  <pre className="bg-gray-900 text-gray-100 p-4 rounded font-mono text-xs overflow-x-auto max-h-96">
+                    {contract.files.find(file => file.path === shownFile)?.content}
+                  </pre>
+                </div>
+              </div>
             </div>
           )}
 
@@ -863,6 +1048,32 @@ function ContractPage() {
 }
 
 // Contract Events Tab Component
+// Source File Tree (verified contract code tab)
+function SourceFileTree({ nodes, activeFile, onSelect, depth = 0 }) {
+  return (
+    <ul>
+      {nodes.map(node => (
+        <li key={node.path || node.name} style={{ paddingLeft: depth * 12 }}>
+          {node.type === 'directory' ? (
+            <>
+              <div className="text-gray-500 font-medium">{node.name}/</div>
+              <SourceFileTree nodes={node.children} activeFile={activeFile} onSelect={onSelect} depth={depth + 1} />
+            </>
+          ) : (
+            <button
+              type="button"
+              onClick={() => onSelect(node.path)}
+              className={`block w-full text-left font-mono truncate ${node.path === activeFile ? 'text-[#D4A826] font-bold' : 'text-gray-700'}`}
+            >
+              {node.name}
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
 function ContractEventsTab({ address, events: eventDefs }) {
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -989,6 +1200,13 @@ function AddressPage() {
         </div>
       )}
 
+      {addressData.internalTransactions?.length > 0 && (
+        <div className="card mb-6">
+          <h2 className="text-xl font-bold mb-4">Internal Transactions</h2>
+          <InternalTransactions items={addressData.internalTransactions} />
+        </div>
+      )}
+
       <div className="card">
         <h2 className="text-xl font-bold mb-4">Recent Transactions</h2>
         <div className="overflow-x-auto">
@@ -999,21 +1217,28 @@ function AddressPage() {
                 <th className="py-2 text-left">Block</th>
                 <th className="py-2 text-left">From</th>
                 <th className="py-2 text-left">To</th>
+                <th className="py-2 text-left">Amount</th>
               </tr>
             </thead>
             <tbody>
-              {addressData.recentTransactions?.map((tx) => (
-                <tr key={tx.hash} className="border-b hover:bg-[#222838]">
-                  <td className="py-2 font-mono text-sm">
-                    <Link to={`/tx/${tx.hash}`} className="text-[#D4A826]">{truncateHash(tx.hash)}</Link>
-                  </td>
-                  <td className="py-2">
-                    <Link to={`/block/${tx.block_height}`} className="text-[#D4A826]">{tx.block_height}</Link>
-                  </td>
-                  <td className="py-2 font-mono text-sm">{truncateHash(tx.from_address)}</td>
-                  <td className="py-2 font-mono text-sm">{truncateHash(tx.to_address)}</td>
-                </tr>
-              ))}
+              {addressData.recentTransactions?.map((tx) => {
+                const net = (parseInt(tx.received) || 0) - (parseInt(tx.sent) || 0);
+                return (
+                  <tr key={tx.hash} className="border-b hover:bg-[#222838]">
+                    <td className="py-2 font-mono text-sm">
+                      <Link to={`/tx/${tx.hash}`} className="text-[#D4A826]">{truncateHash(tx.hash)}</Link>
+                    </td>
+                    <td className="py-2">
+                      <Link to={`/block/${tx.block_height}`} className="text-[#D4A826]">{tx.block_height}</Link>
+                    </td>
+                    <td className="py-2 font-mono text-sm">{truncateHash(tx.from_address)}</td>
+                    <td className="py-2 font-mono text-sm">{truncateHash(tx.to_address)}</td>
+                    <td className={`py-2 ${net < 0 ? 'text-red-400' : 'text-emerald-400'}`}>
+                      {net < 0 ? '-' : '+'}{formatWTX(Math.abs(net))} WTX
+                    </td>
+                  </tr>
+                );
+              })}
             </tbody>
           </table>
         </div>
@@ -1142,6 +1367,7 @@ function TokensPage() {
 function TokenPage() {
   const { address } = useParams();
   const [token, setToken] = useState(null);
+  const [ids, setIds] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -1149,6 +1375,10 @@ function TokenPage() {
       try {
         const res = await axios.get(`${API_URL}/token/${address}`);
         setToken(res.data.token);
+        if (res.data.token?.standard === 'ERC-1155') {
+          const idsRes = await axios.get(`${API_URL}/token/${address}/ids?limit=100`);
+          setIds(idsRes.data.ids || []);
+        }
       } catch (error) {
         console.error('Error fetching token:', error);
       } finally {
@@ -1168,14 +1398,145 @@ function TokenPage() {
         <div className="grid grid-cols-2 gap-4">
           <div><span className="text-gray-500">Name:</span> <span className="font-medium">{token.name}</span></div>
           <div><span className="text-gray-500">Symbol:</span> <span className="font-bold">{token.symbol}</span></div>
+          <div><span className="text-gray-500">Standard:</span> {token.standard || 'QRC-20'}</div>
           <div><span className="text-gray-500">Decimals:</span> {token.decimals}</div>
-          <div><span className="text-gray-500">Total Supply:</span> {token.total_supply}</div>
+          {token.standard !== 'ERC-1155' && (
+            <div><span className="text-gray-500">Total Supply:</span> {token.total_supply}</div>
+          )}
           <div className="col-span-2">
             <span className="text-gray-500">Contract:</span>
             <Link to={`/address/0x${token.address}`} className="font-mono text-sm ml-2 text-[#D4A826]">0x{token.address}</Link>
           </div>
         </div>
       </div>
+
+      {token.standard === 'ERC-1155' && (
+        <div className="card mt-6">
+          <h2 className="text-xl font-bold mb-4">Token IDs</h2>
+          <table className="w-full">
+            <thead>
+              <tr className="border-b bg-[#161b26]">
+                <th className="py-3 px-2 text-left">ID</th>
+                <th className="py-3 px-2 text-left">Supply</th>
+                <th className="py-3 px-2 text-left">Holders</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ids.map((item) => (
+                <tr key={item.token_id} className="border-b hover:bg-[#222838]">
+                  <td className="py-2 px-2 font-mono text-sm">
+                    <Link to={`/token/${address}/${item.token_id}`} className="text-[#D4A826]">{item.token_id}</Link>
+                  </td>
+                  <td className="py-2 px-2">{item.supply}</td>
+                  <td className="py-2 px-2">{formatNumber(item.holders)}</td>
+                </tr>
+              ))}
+              {ids.length === 0 && (
+                <tr><td colSpan="3" className="py-8 text-center text-gray-500">No token IDs found</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Token ID Page (one id of an ERC-1155 contract)
+function TokenIdPage() {
+  const { address, id } = useParams();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchTokenId = async () => {
+      try {
+        const res = await axios.get(`${API_URL}/token/${address}/ids/${id}`);
+        setData(res.data);
+      } catch (error) {
+        console.error('Error fetching token id:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchTokenId();
+  }, [address, id]);
+
+  if (loading) return <div className="container mx-auto px-4 py-8">Loading...</div>;
+  if (!data) return <div className="container mx-auto px-4 py-8">Token ID not found</div>;
+
+  const { token, id: item, holders, transfers } = data;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <h1 className="text-2xl font-bold mb-6">
+        <Link to={`/token/${address}`} className="text-[#D4A826]">{token?.name || 'Token'}</Link> #{item.token_id}
+      </h1>
+      <div className="card">
+        <div className="grid grid-cols-2 gap-4">
+          <div><span className="text-gray-500">Supply:</span> <span className="font-medium">{item.supply}</span></div>
+          {item.metadata?.name && (
+            <div className="col-span-2"><span className="text-gray-500">Name:</span> {item.metadata.name}</div>
+          )}
+          {item.metadata?.description && (
+            <div className="col-span-2"><span className="text-gray-500">Description:</span> {item.metadata.description}</div>
+          )}
+          <div className="col-span-2">
+            <span className="text-gray-500">URI:</span>
+            <span className="font-mono text-sm ml-2 break-all">{item.uri || 'N/A'}</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="card mt-6">
+        <h2 className="text-xl font-bold mb-4">Holders</h2>
+        <table className="w-full">
+          <thead>
+            <tr className="border-b bg-[#161b26]">
+              <th className="py-3 px-2 text-left">Address</th>
+              <th className="py-3 px-2 text-left">Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {holders.map((holder) => (
+              <tr key={holder.holder} className="border-b hover:bg-[#222838]">
+                <td className="py-2 px-2 font-mono text-sm">
+                  <Link to={`/address/${holder.holder}`} className="text-[#D4A826]">{truncateHash(holder.holder, 12)}</Link>
+                </td>
+                <td className="py-2 px-2">{holder.balance}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="card mt-6">
+        <h2 className="text-xl font-bold mb-4">Transfers</h2>
+        <table className="w-full">
+          <thead>
+            <tr className="border-b bg-[#161b26]">
+              <th className="py-3 px-2 text-left">Tx Hash</th>
+              <th className="py-3 px-2 text-left">From</th>
+              <th className="py-3 px-2 text-left">To</th>
+              <th className="py-3 px-2 text-left">Amount</th>
+              <th className="py-3 px-2 text-left">Time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {transfers.map((transfer) => (
+              <tr key={`${transfer.tx_hash}-${transfer.log_index}-${transfer.batch_index}`} className="border-b hover:bg-[#222838]">
+                <td className="py-2 px-2 font-mono text-sm">
+                  <Link to={`/tx/${transfer.tx_hash}`} className="text-[#D4A826]">{truncateHash(transfer.tx_hash)}</Link>
+                </td>
+                <td className="py-2 px-2 font-mono text-sm">{truncateHash(transfer.from_address, 6)}</td>
+                <td className="py-2 px-2 font-mono text-sm">{truncateHash(transfer.to_address, 6)}</td>
+                <td className="py-2 px-2">{transfer.value}</td>
+                <td className="py-2 px-2 text-sm text-gray-500">{formatTime(transfer.timestamp)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
     </div>
   );
 }
@@ -1248,19 +1609,76 @@ function ContractVerifyPage() {
     address: '',
     name: '',
     sourceCode: '',
-    abi: '',
     compilerVersion: '0.8.20',
-    optimization: false
+    optimization: false,
+    runs: 200,
+    evmVersion: '',
+    constructorArgs: '',
+    remappings: '',
+    libraries: '',
+    standardJson: '',
+    metadata: ''
   });
-  const [message, setMessage] = useState({ text: '', type: '' });
+  // 'single' source, 'multi' file upload, 'json' (solc Standard JSON input)
+  // or 'metadata' (solc's metadata.json plus the source files)
+  const [mode, setMode] = useState('single');
+  const [files, setFiles] = useState([]);
+  const [message, setMessage] = useState({ text: '', type: '', details: null });
+
+  const readFiles = async (fileList) => {
+    const added = await Promise.all(Array.from(fileList).map(async (file) => ({
+      path: file.webkitRelativePath || file.name,
+      content: await file.text()
+    })));
+    setFiles(current => [...current.filter(f => !added.some(a => a.path === f.path)), ...added]);
+  };
+
+  const buildPayload = () => {
+    const { address, name, compilerVersion, constructorArgs, optimization, runs, evmVersion } = formData;
+    if (mode === 'metadata') {
+      return {
+        address,
+        constructorArgs,
+        metadata: formData.metadata,
+        sources: Object.fromEntries(files.map(f => [f.path, f.content]))
+      };
+    }
+
+    const payload = { address, name, compilerVersion, constructorArgs };
+    if (mode === 'json') {
+      return { ...payload, standardJson: formData.standardJson };
+    }
+
+    // One "Name=address" or "path/File.sol:Name=address" per line
+    const libraries = Object.fromEntries(formData.libraries
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => line.split('=').map(part => part.trim())));
+    Object.assign(payload, { optimization, runs, evmVersion, libraries });
+
+    if (mode === 'single') {
+      return { ...payload, sourceCode: formData.sourceCode };
+    }
+    return {
+      ...payload,
+      sources: Object.fromEntries(files.map(f => [f.path, f.content])),
+      remappings: formData.remappings.split('\n').map(line => line.trim()).filter(Boolean)
+    };
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
-      const res = await axios.post(`${API_URL}/contract/verify`, formData);
-      setMessage({ text: res.data.message || 'Contract verified successfully!', type: 'success' });
+      const endpoint = mode === 'metadata' ? 'contract/verify-metadata' : 'contract/verify';
+      const res = await axios.post(`${API_URL}/${endpoint}`, buildPayload());
+      setMessage({ text: res.data.message || 'Contract verified successfully!', type: 'success', details: null });
     } catch (error) {
-      setMessage({ text: error.response?.data?.error || 'Verification failed', type: 'error' });
+      setMessage({
+        text: error.response?.data?.error || 'Verification failed',
+        type: 'error',
+        details: error.response?.data?.details || null
+      });
     }
   };
 
@@ -1281,55 +1699,195 @@ function ContractVerifyPage() {
               required
             />
           </div>
-          <div>
-            <label className="block text-gray-700 mb-2 font-medium">Contract Name</label>
-            <input
-              type="text"
-              className="input"
-              placeholder="MyToken"
-              value={formData.name}
-              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-            />
-          </div>
-          <div>
-            <label className="block text-gray-700 mb-2 font-medium">Source Code (Solidity) *</label>
-            <textarea
-              className="input h-64 font-mono text-sm"
-              placeholder="// SPDX-License-Identifier: MIT&#10;pragma solidity ^0.8.0;&#10;&#10;contract MyContract { ... }"
-              value={formData.sourceCode}
-              onChange={(e) => setFormData({ ...formData, sourceCode: e.target.value })}
-              required
-            />
-          </div>
-          <div>
-            <label className="block text-gray-700 mb-2 font-medium">ABI (JSON) *</label>
-            <textarea
-              className="input h-32 font-mono text-sm"
-              placeholder='[{"type":"function","name":"balanceOf",...}]'
-              value={formData.abi}
-              onChange={(e) => setFormData({ ...formData, abi: e.target.value })}
-              required
-            />
-          </div>
-          <div className="grid grid-cols-2 gap-4">
+          {mode !== 'metadata' && (
             <div>
-              <label className="block text-gray-700 mb-2 font-medium">Compiler Version</label>
+              <label className="block text-gray-700 mb-2 font-medium">Contract Name</label>
               <input
                 type="text"
                 className="input"
-                value={formData.compilerVersion}
-                onChange={(e) => setFormData({ ...formData, compilerVersion: e.target.value })}
+                placeholder="MyToken or contracts/MyToken.sol:MyToken"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
               />
             </div>
-            <div className="flex items-center pt-8">
+          )}
+          <div className="flex border-b">
+            {[['single', 'Single File'], ['multi', 'Multiple Files'], ['json', 'Standard JSON Input'], ['metadata', 'Metadata + Sources']].map(([key, label]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setMode(key)}
+                className={`px-4 py-2 font-medium ${mode === key ? 'border-b-2 border-[#D4A826] text-[#D4A826]' : 'text-gray-500'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {mode === 'single' && (
+            <div>
+              <label className="block text-gray-700 mb-2 font-medium">Source Code (Solidity) *</label>
+              <textarea
+                className="input h-64 font-mono text-sm"
+                placeholder="// SPDX-License-Identifier: MIT&#10;pragma solidity ^0.8.0;&#10;&#10;contract MyContract { ... }"
+                value={formData.sourceCode}
+                onChange={(e) => setFormData({ ...formData, sourceCode: e.target.value })}
+                required
+              />
+            </div>
+          )}
+
+          {mode === 'metadata' && (
+            <div>
+              <label className="block text-gray-700 mb-2 font-medium">metadata.json *</label>
               <input
-                type="checkbox"
-                checked={formData.optimization}
-                onChange={(e) => setFormData({ ...formData, optimization: e.target.checked })}
-                className="mr-2"
+                type="file"
+                accept=".json"
+                className="mb-2 text-sm"
+                onChange={async (e) => e.target.files[0] && setFormData({ ...formData, metadata: await e.target.files[0].text() })}
+              />
+              <textarea
+                className="input h-32 font-mono text-sm"
+                placeholder='{"compiler":{"version":"0.8.20+commit.a1b79de6"},"language":"Solidity",...}'
+                value={formData.metadata}
+                onChange={(e) => setFormData({ ...formData, metadata: e.target.value })}
+                required
               />
-              <label>Optimization Enabled</label>
+              <p className="text-sm text-gray-500 mt-1">
+                Upload the file exactly as solc wrote it: its hash must match the one in the bytecode.
+                Compiler and settings are read from it, and source files are matched by their hash.
+              </p>
             </div>
+          )}
+
+          {(mode === 'multi' || mode === 'metadata') && (
+            <div>
+              <label className="block text-gray-700 mb-2 font-medium">Source Files *</label>
+              <div className="flex gap-4 mb-2 text-sm">
+                <label className="btn btn-primary cursor-pointer">
+                  Add Files
+                  <input type="file" multiple accept=".sol" className="hidden" onChange={(e) => readFiles(e.target.files)} />
+                </label>
+                <label className="btn btn-primary cursor-pointer">
+                  Add Folder
+                  <input type="file" webkitdirectory="" className="hidden" onChange={(e) => readFiles(e.target.files)} />
+                </label>
+              </div>
+              <p className="text-sm text-gray-500 mb-2">Paths must match the import paths (or be reachable through the remappings).</p>
+              {files.map((file, i) => (
+                <div key={i} className="flex items-center gap-2 mb-1">
+                  <input
+                    type="text"
+                    className="input font-mono text-sm"
+                    value={file.path}
+                    onChange={(e) => setFiles(files.map((f, j) => j === i ? { ...f, path: e.target.value } : f))}
+                  />
+                  <span className="text-xs text-gray-500 whitespace-nowrap">{file.content.length} chars</span>
+                  <button type="button" className="text-red-600 text-sm" onClick={() => setFiles(files.filter((_, j) => j !== i))}>
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {mode === 'json' && (
+            <div>
+              <label className="block text-gray-700 mb-2 font-medium">Standard JSON Input *</label>
+              <input
+                type="file"
+                accept=".json"
+                className="mb-2 text-sm"
+                onChange={async (e) => e.target.files[0] && setFormData({ ...formData, standardJson: await e.target.files[0].text() })}
+              />
+              <textarea
+                className="input h-64 font-mono text-sm"
+                placeholder='{"language": "Solidity", "sources": {...}, "settings": {...}}'
+                value={formData.standardJson}
+                onChange={(e) => setFormData({ ...formData, standardJson: e.target.value })}
+                required
+              />
+              <p className="text-sm text-gray-500 mt-1">Optimizer, EVM version, remappings and libraries are taken from the input's settings.</p>
+            </div>
+          )}
+
+          {mode !== 'metadata' && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-gray-700 mb-2 font-medium">Compiler Version</label>
+                <input
+                  type="text"
+                  className="input"
+                  value={formData.compilerVersion}
+                  onChange={(e) => setFormData({ ...formData, compilerVersion: e.target.value })}
+                />
+              </div>
+              {mode !== 'json' && (
+                <>
+                  <div>
+                    <label className="block text-gray-700 mb-2 font-medium">EVM Version</label>
+                    <input
+                      type="text"
+                      className="input"
+                      placeholder="Compiler default"
+                      value={formData.evmVersion}
+                      onChange={(e) => setFormData({ ...formData, evmVersion: e.target.value })}
+                    />
+                  </div>
+                  <div className="flex items-center pt-8">
+                    <input
+                      type="checkbox"
+                      checked={formData.optimization}
+                      onChange={(e) => setFormData({ ...formData, optimization: e.target.checked })}
+                      className="mr-2"
+                    />
+                    <label>Optimization Enabled</label>
+                  </div>
+                  <div>
+                    <label className="block text-gray-700 mb-2 font-medium">Optimizer Runs</label>
+                    <input
+                      type="number"
+                      className="input"
+                      value={formData.runs}
+                      disabled={!formData.optimization}
+                      onChange={(e) => setFormData({ ...formData, runs: e.target.value })}
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+          {(mode === 'single' || mode === 'multi') && (
+            <div>
+              <label className="block text-gray-700 mb-2 font-medium">Library Addresses</label>
+              <textarea
+                className="input h-20 font-mono text-sm"
+                placeholder="SafeMath=0x1234...&#10;contracts/lib/Math.sol:Math=0xabcd..."
+                value={formData.libraries}
+                onChange={(e) => setFormData({ ...formData, libraries: e.target.value })}
+              />
+            </div>
+          )}
+          {mode === 'multi' && (
+            <div>
+              <label className="block text-gray-700 mb-2 font-medium">Import Remappings</label>
+              <textarea
+                className="input h-20 font-mono text-sm"
+                placeholder="@openzeppelin/=node_modules/@openzeppelin/"
+                value={formData.remappings}
+                onChange={(e) => setFormData({ ...formData, remappings: e.target.value })}
+              />
+            </div>
+          )}
+          <div>
+            <label className="block text-gray-700 mb-2 font-medium">Constructor Arguments (ABI-encoded hex)</label>
+            <input
+              type="text"
+              className="input font-mono text-sm"
+              placeholder="Read from the creation transaction if left empty"
+              value={formData.constructorArgs}
+              onChange={(e) => setFormData({ ...formData, constructorArgs: e.target.value })}
+            />
           </div>
           <button type="submit" className="btn btn-primary">Verify Contract</button>
         </form>
@@ -1337,6 +1895,11 @@ function ContractVerifyPage() {
         {message.text && (
           <div className={`mt-4 p-4 rounded ${message.type === 'error' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
             {message.text}
+            {message.details && (
+              <pre className="mt-2 text-xs font-mono whitespace-pre-wrap break-all">
+                {JSON.stringify(message.details, null, 2)}
+              </pre>
+            )}
           </div>
         )}
       </div>
@@ -1360,6 +1923,7 @@ function App() {
             <Route path="/address/:address" element={<AddressPage />} />
             <Route path="/tokens" element={<TokensPage />} />
             <Route path="/token/:address" element={<TokenPage />} />
+            <Route path="/token/:address/:id" element={<TokenIdPage />} />
             <Route path="/contracts" element={<ContractsListPage />} />
             <Route path="/contract/:address" element={<ContractPage />} />
             <Route path="/verify" element={<ContractVerifyPage />} />